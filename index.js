@@ -1,615 +1,1800 @@
 // Pipeliner to Asana Webhook - Creates Projects for Each Opportunity
 // Save this as index.js and redeploy to Render
 
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
-const axios = require('axios');
-const app = express();
-
-// Load environment variables
-require('dotenv').config();
+const { createMappingStore } = require('./lib/mappingStore');
+const { captureRawBody, requireWebhookAuth, requireAdminKey } = require('./lib/auth');
+const { fingerprintDelivery, createDedupeStore } = require('./lib/dedupeStore');
+const { createJobQueue, isRetryable } = require('./lib/jobQueue');
+const { createAsanaClient, AsanaValidationError, AsanaNotFoundError } = require('./lib/asanaClient');
+const { loadTemplates, selectTemplate, resolveDueDate, resolveAssignee } = require('./lib/templates');
+const { loadStageRules, applyStageRules } = require('./lib/stageRules');
+const { loadFieldMappings, createCustomFieldSync } = require('./lib/customFields');
+const { loadNotesTemplate, renderNotesBlock, mergeManagedBlock } = require('./lib/projectNotes');
+const { createKeyValueStore } = require('./lib/keyValueStore');
+const { createPipelinerClient } = require('./lib/pipelinerClient');
+const { createAsanaWebhookManager } = require('./lib/asanaWebhooks');
+const { loadCompletionSync, opportunityUpdateForTask } = require('./lib/completionSync');
+const { createLoopGuard } = require('./lib/loopGuard');
+const { loadUserDirectory, createUserDirectory } = require('./lib/userDirectory');
+const { normalizeEvent, loadFieldAliases, PayloadValidationError } = require('./lib/normalize');
+const { createOpportunityEnricher } = require('./lib/enrichment');
+const { createReconciler, formatReport } = require('./lib/reconcile');
+const { runWithContext, getContext, isDryRun } = require('./lib/context');
+const { createDryRunContext, summarizePlan } = require('./lib/dryRun');
+const { createEventLog } = require('./lib/eventLog');
+const { createAdminRouter } = require('./lib/admin');
+const { logger, configureLogger } = require('./lib/logger');
+const { metrics, registry: metricsRegistry, registerQueueMetrics } = require('./lib/metrics');
+const { validateConfig, createReadinessProbe } = require('./lib/readiness');
+const { loadTenants, tenantConfig, validateTenantConfigs, createTenantRouter } = require('./lib/tenants');
+const { loadNotifications, createNotifier } = require('./lib/notifier');
+const { acquireDataDirLock } = require('./lib/dataDirLock');
 
 // Configuration from environment variables
-const config = {
-    asana: {
-        accessToken: process.env.ASANA_ACCESS_TOKEN,
-        workspaceId: process.env.ASANA_WORKSPACE_ID,
-        teamId: process.env.ASANA_TEAM_ID, // Required for team-based workspaces
-        templateProjectId: process.env.ASANA_TEMPLATE_PROJECT_ID // Optional - to copy from template
-    },
-    port: process.env.PORT || 10000
-};
+function loadConfig(env = process.env) {
+    return {
+        asana: {
+            accessToken: env.ASANA_ACCESS_TOKEN,
+            workspaceId: env.ASANA_WORKSPACE_ID,
+            teamId: env.ASANA_TEAM_ID, // Required for team-based workspaces
+            templateProjectId: env.ASANA_TEMPLATE_PROJECT_ID, // Optional - to copy from template
+            templateType: env.ASANA_TEMPLATE_TYPE || 'project', // 'project' (duplicate) or 'project_template' (instantiate)
+            salesInboxProjectId: env.ASANA_SALES_INBOX_PROJECT_ID, // Activities without an opportunity go here
+            baseUrl: env.ASANA_BASE_URL || 'https://app.asana.com/api/1.0', // Override to point at a mock
+            maxConcurrent: Number(env.ASANA_MAX_CONCURRENT) || 4,
+            requestsPerMinute: Number(env.ASANA_REQUESTS_PER_MINUTE) || 150,
+            jobPollIntervalMs: Number(env.ASANA_JOB_POLL_INTERVAL_MS) || 2000 // How often a template copy is checked
+        },
+        opportunities: {
+            deletePolicy: env.OPPORTUNITY_DELETE_POLICY || 'archive' // 'archive' or 'rename' ([DELETED] prefix + status update)
+        },
+        activities: {
+            deletePolicy: env.ACTIVITY_DELETE_POLICY || 'cancel' // 'cancel' (complete + [CANCELLED] prefix) or 'delete'
+        },
+        pipeliner: {
+            baseUrl: env.PIPELINER_API_URL, // Regional API host, e.g. https://eu-central.api.pipelinersales.com
+            spaceId: env.PIPELINER_SPACE_ID,
+            username: env.PIPELINER_API_USERNAME, // API key
+            password: env.PIPELINER_API_PASSWORD, // API secret
+            cacheTtlMs: (Number(env.PIPELINER_CACHE_TTL_SECONDS) || 30) * 1000, // How long API lookups are reused
+            // Link to an opportunity in the Pipeliner web app - {spaceId} and {id} are filled in
+            recordUrl: env.PIPELINER_RECORD_URL || 'https://app.pipelinersales.com/#/{spaceId}/opportunity/{id}'
+        },
+        completionSync: {
+            path: env.ASANA_SYNC_PATH || path.join(__dirname, 'config', 'asana-sync.json')
+        },
+        notifications: {
+            path: env.NOTIFICATIONS_PATH || path.join(__dirname, 'config', 'notifications.json') // Teams/Slack/email rules
+        },
+        publicUrl: env.PUBLIC_URL || env.RENDER_EXTERNAL_URL, // Where Asana can reach /webhook/asana
+        security: {
+            webhookSigningSecret: env.PIPELINER_WEBHOOK_SECRET, // HMAC-SHA256 secret for signed webhooks
+            webhookSignatureHeader: env.PIPELINER_SIGNATURE_HEADER || 'x-pipeliner-signature',
+            webhookSharedSecret: env.PIPELINER_SHARED_SECRET, // Sent as "Authorization: Bearer" or "X-Webhook-Secret"
+            adminApiKey: env.ADMIN_API_KEY // Enables /test when set
+        },
+        storage: {
+            driver: env.STORAGE_DRIVER || 'json', // 'json' (file-backed) or 'memory' (for tests)
+            dataDir: env.DATA_DIR || './data'
+        },
+        templates: {
+            path: env.PROJECT_TEMPLATES_PATH || path.join(__dirname, 'config', 'project-templates.json') // JSON or YAML
+        },
+        notes: {
+            path: env.NOTES_TEMPLATE_PATH || path.join(__dirname, 'config', 'project-notes.html') // HTML with {{placeholders}}
+        },
+        stageRules: {
+            path: env.STAGE_RULES_PATH || path.join(__dirname, 'config', 'stage-rules.json')
+        },
+        customFields: {
+            path: env.CUSTOM_FIELDS_PATH || path.join(__dirname, 'config', 'custom-fields.json')
+        },
+        userDirectory: {
+            path: env.USER_DIRECTORY_PATH || path.join(__dirname, 'config', 'user-directory.json') // Owner/sales unit overrides
+        },
+        fieldAliases: {
+            path: env.FIELD_ALIASES_PATH || path.join(__dirname, 'config', 'field-aliases.json') // Extra Pipeliner field names
+        },
+        queue: {
+            maxAttempts: Number(env.QUEUE_MAX_ATTEMPTS) || 8, // Attempts before a job is dead-lettered
+            baseDelayMs: Number(env.QUEUE_BASE_DELAY_MS) || 5000, // First retry delay, doubled each attempt
+            maxDelayMs: Number(env.QUEUE_MAX_DELAY_MS) || 15 * 60 * 1000
+        },
+        dryRun: env.DRY_RUN === 'true', // Preview everything - no Asana/Pipeliner writes, nothing stored
+        ready: {
+            maxQueueBacklog: Number(env.READY_MAX_QUEUE_BACKLOG) || 100 // /ready fails with more pending jobs than this
+        },
+        dedupe: {
+            ttlMs: (Number(env.DEDUPE_TTL_HOURS) || 24) * 60 * 60 * 1000 // How long deliveries are remembered
+        },
+        tenants: {
+            path: env.TENANTS_PATH // JSON or YAML - serves several Pipeliner spaces / Asana workspaces when set
+        },
+        logging: {
+            level: env.LOG_LEVEL || 'info', // debug, info, warn or error
+            format: env.LOG_FORMAT || (process.stdout.isTTY ? 'pretty' : 'json'), // 'json' (one object per line) or 'pretty'
+            redactFields: (env.LOG_REDACT_FIELDS || '').split(',').filter(Boolean) // Added to the built-in list
+        },
+        port: env.PORT || 10000
+    };
+}
+
+// Build the integration for a config - the Express app and the services behind it
+// Nothing listens or polls until start() is called, so tests can run it in-process
+// With tenants, each one gets its own (config.tenant is its ID - see createMultiTenantApp)
+function createApp(config) {
+    const app = express();
+
+    // Shared Asana API client (auth, rate limiting, pagination, typed errors)
+    const asana = createAsanaClient({ ...config.asana, tenant: config.tenant });
 
-// Middleware to parse JSON
-app.use(express.json());
+    // Section/task templates, chosen per opportunity
+    const projectTemplates = loadTemplates(config.templates.path);
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'healthy', 
-        timestamp: new Date().toISOString(),
-        message: 'Webhook server is running!',
-        mode: 'Creates Asana Projects'
+    // The Pipeliner details block in each project's notes
+    const notesTemplate = loadNotesTemplate(config.notes.path);
+
+    // Asana actions to run when an opportunity changes stage (or job status)
+    const stageRules = loadStageRules(config.stageRules.path);
+
+    // Pipeliner fields written to Asana custom fields
+    const customFields = createCustomFieldSync({ asana, mappings: loadFieldMappings(config.customFields.path) });
+
+    // Site-specific Pipeliner field names (e.g. custom field API names) on top of the built-in aliases
+    const fieldAliases = loadFieldAliases(config.fieldAliases.path);
+
+    // Pipeliner API - fills in what webhooks leave out, and receives task completions
+    const pipeliner = createPipelinerClient({ ...config.pipeliner, tenant: config.tenant });
+    const opportunityEnricher = createOpportunityEnricher({
+        pipeliner,
+        aliases: fieldAliases,
+        cacheTtlMs: config.pipeliner.cacheTtlMs
     });
-});
-
-// Main webhook endpoint - receives data from Pipeliner
-app.post('/webhook/pipeliner', async (req, res) => {
-    console.log('================================');
-    console.log('Webhook received at:', new Date().toISOString());
-    console.log('Data from Pipeliner:', JSON.stringify(req.body, null, 2));
-    console.log('=================================');
-    
-    try {
-        // Extract data from Pipeliner webhook
-        const { entity, action, data } = req.body;
-        
-        // Process based on entity type and action
-        if ((entity === 'Opportunity' || entity === 'opportunity') && 
-            (action === 'create' || action === 'created')) {
-            await handleNewOpportunity(data);
-        } else if ((entity === 'Opportunity' || entity === 'opportunity') && 
-                   (action === 'update' || action === 'updated')) {
-            await handleUpdatedOpportunity(data);
-        } else if ((entity === 'Activity' || entity === 'activity')) {
+
+    // Two-way sync: Asana task completions are pushed back to Pipeliner
+    const completionSync = loadCompletionSync(config.completionSync.path);
+    const completionSyncEnabled = pipeliner.isConfigured &&
+        (completionSync.tasks.length > 0 || Boolean(completionSync.activityCompleted));
+    const asanaWebhooks = createAsanaWebhookManager({ asana, ...config.storage, publicUrl: config.publicUrl });
+    const loopGuard = createLoopGuard();
+
+    // Pipeliner owners -> Asana users, and sales units -> teams and project members
+    const userDirectory = createUserDirectory({
+        asana,
+        directory: loadUserDirectory(config.userDirectory.path),
+        defaultTeamId: config.asana.teamId
+    });
+
+    // Teams, Slack and email messages for new projects, won opportunities and failed syncs
+    const notifier = createNotifier({ settings: loadNotifications(config.notifications.path), tenant: config.tenant });
+
+    // Pipeliner activity -> Asana task links
+    const activityTaskStore = createKeyValueStore({
+        driver: config.storage.driver,
+        filePath: path.join(config.storage.dataDir, 'activity-tasks.json')
+    });
+
+    // Opportunity -> project mappings (persisted so updates find the existing project)
+    const mappingStore = createMappingStore(config.storage);
+
+    // Recently seen webhook deliveries (Pipeliner retries, so duplicates are expected)
+    const dedupeStore = createDedupeStore({ ...config.storage, ttlMs: config.dedupe.ttlMs });
+
+    // Recent webhook events and how each one was processed (for /admin)
+    const eventLog = createEventLog(config.storage);
+
+    // Webhooks are processed in the background so Asana retries don't hold up Pipeliner
+    const jobQueue = createJobQueue({ ...config.storage, ...config.queue, tenant: config.tenant });
+    jobQueue.register('pipeliner-webhook', config.dryRun ? dryRunJob(processPipelinerEvent) : processPipelinerEvent);
+    jobQueue.register('asana-events', config.dryRun ? dryRunJob(processAsanaEvents) : processAsanaEvents);
+
+    // Keep each event's status in step with its job
+    const EVENT_STATUS_FOR_JOB = { processing: 'processing', waiting: 'processing', completed: 'done', retrying: 'retrying', failed: 'failed', replayed: 'queued' };
+    jobQueue.onUpdate((job, status, error) => eventLog.updateByJobId(job.id, {
+        status: EVENT_STATUS_FOR_JOB[status],
+        attempts: job.attempts,
+        error: status === 'completed' || status === 'replayed' ? null : error || undefined
+    }));
+    jobQueue.onUpdate((job, status, error) => (status === 'failed' ? notifySyncFailed(job, error) : null));
+    registerQueueMetrics(jobQueue, config.tenant);
+
+    // Checks behind /ready - Asana access, the mapping store and the queue backlog
+    const readiness = createReadinessProbe({
+        asana,
+        config,
+        mappingStore,
+        jobQueue,
+        maxQueueBacklog: config.ready.maxQueueBacklog
+    });
+
+    // Middleware to parse JSON (keeping the raw body for signature checks)
+    app.use(express.json({ verify: captureRawBody }));
+
+    // Webhooks must be signed or carry the shared secret; /test needs the admin key
+    const webhookAuth = requireWebhookAuth({
+        signingSecret: config.security.webhookSigningSecret,
+        signatureHeader: config.security.webhookSignatureHeader,
+        sharedSecret: config.security.webhookSharedSecret
+    });
+    const adminAuth = requireAdminKey(config.security.adminApiKey);
+
+    // Every webhook gets a correlation ID - the caller's X-Correlation-Id / X-Request-Id, or a new one
+    // It's sent back in the response, stored on the job, and attached (with the tenant) to every log line made for the webhook
+    function correlate(req, res, next) {
+        const correlationId = String(req.get('x-correlation-id') || req.get('x-request-id') || crypto.randomUUID()).slice(0, 128);
+        req.correlationId = correlationId;
+        res.set('X-Correlation-Id', correlationId);
+        runWithContext({ correlationId, tenant: config.tenant }, next);
+    }
+
+    // Health check endpoint - the process is up (see /ready for its dependencies)
+    app.get('/health', (req, res) => {
+        res.json({ 
+            status: 'healthy', 
+            timestamp: new Date().toISOString(),
+            message: 'Webhook server is running!',
+            mode: 'Creates Asana Projects'
+        });
+    });
+
+    // Readiness - every dependency is reachable and the queue is keeping up (503 otherwise)
+    app.get('/ready', async (req, res) => {
+        const result = await readiness.check();
+        res.status(result.ready ? 200 : 503).json(result);
+    });
+
+    // Prometheus metrics - webhooks, API calls and latency, job durations and queue depth
+    app.get('/metrics', async (req, res) => {
+        try {
+            res.type('text/plain; version=0.0.4').send(await metricsRegistry.render());
+        } catch (error) {
+            res.status(500).type('text/plain').send(`# ${error.message}\n`);
+        }
+    });
+
+    // Main webhook endpoint - receives data from Pipeliner
+    app.post('/webhook/pipeliner', correlate, webhookAuth, async (req, res) => {
+        logger.info('Pipeliner webhook received', { entity: req.body?.entity, action: req.body?.action, recordId: req.body?.data?.id });
+        logger.debug('Pipeliner webhook payload', { payload: req.body });
+        
+        // Turn the payload into our internal model - anything we can't use is rejected with the reasons
+        let event;
+        try {
+            event = normalizeEvent(req.body, { aliases: fieldAliases });
+        } catch (error) {
+            if (error instanceof PayloadValidationError) {
+                logger.warn('Invalid webhook payload', { problems: error.problems });
+                await logEvent({ source: 'pipeliner', entity: req.body?.entity, action: req.body?.action, recordId: req.body?.data?.id, status: 'rejected', problems: error.problems, payload: req.body });
+                return res.status(422).json({
+                    success: false,
+                    error: 'Invalid webhook payload',
+                    problems: error.problems
+                });
+            }
+            logger.error('Error normalizing webhook payload', { error });
+            countWebhook({ source: 'pipeliner', entity: req.body?.entity, action: req.body?.action }, 'error');
+            return res.status(500).json({ success: false, error: error.message });
+        }
+        
+        // Preview: run the event now and answer with the plan instead of queueing it
+        if (config.dryRun || req.query.dryRun === 'true') {
+            await logEvent({ ...describeEvent(event), status: 'dry-run', payload: req.body });
+            return respondWithDryRun(res, () => processPipelinerEvent(event), { event });
+        }
+        
+        // Acknowledge retried deliveries without touching Asana again
+        const deliveryKey = fingerprintDelivery(event);
+        try {
+            if (!(await dedupeStore.claim(deliveryKey))) {
+                logger.info('Duplicate delivery ignored', { deliveryKey });
+                await logEvent({ ...describeEvent(event), status: 'duplicate', deliveryKey, payload: req.body });
+                return res.status(200).json({
+                    success: true,
+                    duplicate: true,
+                    message: 'Duplicate webhook delivery ignored'
+                });
+            }
+        } catch (error) {
+            logger.error('Error checking for duplicate delivery', { error });
+            countWebhook(describeEvent(event), 'error');
+            return res.status(500).json({ success: false, error: error.message });
+        }
+        
+        try {
+            const { entity, action, data } = event;
+            
+            // Queue it - events for the same record are processed in order
+            const groupKey = data?.id ? `${String(entity).toLowerCase()}:${data.id}` : null;
+            const job = await jobQueue.enqueue('pipeliner-webhook', { entity, action, data }, { groupKey, correlationId: req.correlationId });
+            await logEvent({ ...describeEvent(event), status: 'queued', jobId: job.id, deliveryKey, payload: req.body });
+            
+            // Send success response to Pipeliner
+            res.status(200).json({ 
+                success: true, 
+                queued: true,
+                jobId: job.id,
+                message: 'Webhook accepted for processing' 
+            });
+            
+        } catch (error) {
+            logger.error('Error queueing webhook', { error });
+            countWebhook(describeEvent(event), 'error');
+            // Let Pipeliner's retry go through since this delivery wasn't queued
+            await dedupeStore.release(deliveryKey).catch(() => {});
+            res.status(500).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
+    });
+
+    // The searchable summary of a normalized event
+    function describeEvent({ entity, action, data }) {
+        return { source: 'pipeliner', entity, action, recordId: data?.id, name: data?.name || data?.subject };
+    }
+
+    // Count a webhook in the metrics by what happened to it (queued, duplicate, rejected, dry-run or error)
+    function countWebhook({ source, entity, action }, outcome) {
+        metrics.webhooksReceived.inc({ tenant: config.tenant, source, entity: entity || 'unknown', action: action || 'unknown', outcome });
+    }
+
+    // Add to the event log (and the metrics) - a logging failure never fails the webhook
+    async function logEvent(fields) {
+        countWebhook(fields, fields.status);
+        try {
+            return await eventLog.record({ correlationId: getContext()?.correlationId, ...fields });
+        } catch (error) {
+            logger.error('Failed to record event', { error });
+            return null;
+        }
+    }
+
+    // Run the pipeline without writing to Asana, Pipeliner or our stores, and answer with what it would have done
+    async function respondWithDryRun(res, run, details = {}) {
+        const context = createDryRunContext();
+        try {
+            await runWithContext(context, run);
+            res.json({
+                success: true,
+                dryRun: true,
+                ...details,
+                plan: summarizePlan(context.operations),
+                operations: context.operations
+            });
+        } catch (error) {
+            logger.error('Dry run failed', { error });
+            res.status(500).json({
+                success: false,
+                dryRun: true,
+                error: error.message,
+                ...details,
+                plan: summarizePlan(context.operations),
+                operations: context.operations
+            });
+        }
+    }
+
+    // With DRY_RUN set, queued jobs (e.g. Asana events) only log what they would have done
+    function dryRunJob(handler) {
+        return async payload => {
+            const context = createDryRunContext();
+            await runWithContext(context, () => handler(payload));
+            logger.info('Dry run plan', { plan: summarizePlan(context.operations) });
+        };
+    }
+
+    // Process a queued Pipeliner event based on entity type and action
+    // Normalizing again is a no-op for new jobs, and keeps jobs queued before normalization working
+    async function processPipelinerEvent(payload) {
+        const { entity, action, data } = normalizeEvent(payload, { aliases: fieldAliases });
+        
+        if (entity === 'Opportunity' && action === 'create') {
+            await handleNewOpportunity(await opportunityEnricher.enrichOpportunity(data));
+        } else if (entity === 'Opportunity' && action === 'update') {
+            await handleUpdatedOpportunity(await opportunityEnricher.enrichOpportunity(data));
+        } else if (entity === 'Opportunity' && (action === 'delete' || action === 'archive')) {
+            await handleRemovedOpportunity(action, data);
+        } else if (entity === 'Opportunity' && action === 'restore') {
+            await handleRestoredOpportunity(data);
+        } else if (entity === 'Opportunity' && action === 'merge') {
+            await handleMergedOpportunity(data);
+        } else if (entity === 'Activity') {
             await handleActivity(action, data);
         } else {
-            console.log(`Unhandled entity/action: ${entity}/${action}`);
+            logger.warn(`Unhandled entity/action: ${entity}/${action}`);
+        }
+    }
+
+    // Handle NEW Opportunity - Create Project
+    async function handleNewOpportunity(data) {
+        logger.info(`Creating Asana project for opportunity ${data.id}`, { opportunityId: data.id, opportunityName: data.name });
+        
+        try {
+            // A retried job may already have created the project - pick up where it left off
+            let mapping = await mappingStore.get(data.id);
+            // The snapshot is stored once the setup has got as far as the stage rules
+            const firstSetup = !mapping?.snapshot;
+            
+            // The notes show when the project was created, so the mapping gets the same time
+            const createdAt = mapping ? mapping.createdAt : new Date().toISOString();
+            const projectData = {
+                name: formatProjectName(data),
+                notes: formatProjectNotes(data, { createdAt }),
+                color: getProjectColor(data),
+                team: userDirectory.teamFor(data)
+            };
+            
+            if (mapping) {
+                logger.info('Resuming setup of existing Asana project', { opportunityId: data.id, projectGid: mapping.projectGid });
+            } else if (config.asana.templateProjectId) {
+                // Copy the Asana template project (its sections and tasks come with it)
+                const job = await startTemplateProjectJob(projectData, data);
+                if (!job) return;
+                
+                // Store the mapping before waiting so a retry never starts a second copy
+                mapping = await storeProjectMapping(data.id, job.new_project.gid, {
+                    asanaJobGid: job.gid,
+                    asanaJobStartedAt: new Date().toISOString(),
+                    createdAt
+                });
+            } else {
+                // Create the project
+                const project = await createAsanaProject(projectData);
+                
+                if (!project) return;
+                logger.info('Created Asana project', { opportunityId: data.id, projectGid: project.gid });
+                
+                // Store the mapping straight away so a retry never creates a second project
+                mapping = await storeProjectMapping(data.id, project.gid, { createdAt });
+            }
+            
+            const projectGid = mapping.projectGid;
+            
+            if (mapping.asanaJobGid) {
+                // Once Asana has finished copying the template, apply our name, notes and color
+                await checkAsanaJob(mapping.asanaJobGid, mapping.asanaJobStartedAt || mapping.createdAt);
+                await updateAsanaProject(projectGid, projectData);
+                logger.info('Created Asana project from template', { opportunityId: data.id, projectGid });
+            } else {
+                // Create the template's sections and initial tasks (skipping any that already exist)
+                const template = selectTemplate(projectTemplates, data);
+                await createProjectSections(projectGid, template);
+                await createInitialTasks(projectGid, data, template);
+            }
+            
+            // Owner, members and followers, so the right people are notified
+            await syncProjectPeople(projectGid, data);
+            
+            // Attach the mapped custom fields and fill them in
+            await customFields.syncProject(projectGid, data);
+            
+            // An opportunity can arrive already past the first stage (e.g. Won)
+            await syncOpportunityStage(projectGid, mapping.snapshot, data);
+            
+            // Listen for task completions to push back to Pipeliner
+            if (completionSyncEnabled) {
+                await asanaWebhooks.registerProject(projectGid);
+            }
+            
+            if (firstSetup) {
+                await notifier.notify('projectCreated', notificationValues(data, projectGid));
+            }
+            
+        } catch (error) {
+            // Still copying the template - not an error, the queue checks again shortly
+            if (!error.waiting) logger.error('Error creating project', { opportunityId: data.id, error });
+            throw error;
+        }
+    }
+
+    // Handle UPDATED Opportunity - Update Project
+    async function handleUpdatedOpportunity(data) {
+        logger.info(`Updating Asana project for opportunity ${data.id}`, { opportunityId: data.id, opportunityName: data.name });
+        
+        try {
+            // Find the existing project from the stored mapping
+            const mapping = await mappingStore.get(data.id);
+            
+            if (mapping?.asanaJobGid && !mapping.snapshot) {
+                // Asana is still copying the template (the snapshot is stored last) - carry on with the setup
+                await handleNewOpportunity(data);
+            } else if (mapping) {
+                const projectGid = mapping.projectGid;
+                
+                // Update the existing project
+                await updateAsanaProject(projectGid, {
+                    name: formatProjectName(data),
+                    notes: formatProjectNotes(data, { createdAt: mapping.createdAt, previous: mapping.snapshot })
+                });
+                await customFields.syncProject(projectGid, data);
+                
+                // Reassigned in Pipeliner - hand the project to the new owner
+                if (ownerChanged(mapping.snapshot, data)) {
+                    await syncProjectPeople(projectGid, data, mapping.snapshot);
+                }
+                
+                // Compare with the last version we saw to run stage/job status rules
+                await syncOpportunityStage(projectGid, mapping.snapshot, data);
+                logger.info('Updated Asana project', { opportunityId: data.id, projectGid });
+            } else {
+                // Project doesn't exist, create it
+                logger.info('Project not found, creating new one', { opportunityId: data.id });
+                await handleNewOpportunity(data);
+            }
+            
+        } catch (error) {
+            if (!error.waiting) logger.error('Error updating project', { opportunityId: data.id, error });
+            throw error;
+        }
+    }
+
+    // Prefix for projects whose opportunity was deleted (OPPORTUNITY_DELETE_POLICY=rename)
+    const DELETED_PREFIX = '[DELETED]';
+
+    // Opportunity deleted or archived in Pipeliner - archive its project, or for a delete with
+    // OPPORTUNITY_DELETE_POLICY=rename, prefix the name with [DELETED] and post a status update
+    // The mapping is kept so a restore finds the project again
+    async function handleRemovedOpportunity(action, data) {
+        const mapping = await mappingStore.get(data.id);
+        if (!mapping) {
+            logger.info(`No project for ${action === 'delete' ? 'deleted' : 'archived'} opportunity, nothing to do`, { opportunityId: data.id });
+            return;
+        }
+        const projectGid = mapping.projectGid;
+        
+        try {
+            if (action === 'delete' && config.opportunities.deletePolicy === 'rename') {
+                const project = await asana.get(`/projects/${projectGid}`, { opt_fields: 'name' });
+                if (!project.name.startsWith(DELETED_PREFIX)) {
+                    await asana.put(`/projects/${projectGid}`, { name: `${DELETED_PREFIX} ${project.name}` });
+                }
+                await asana.post('/status_updates', {
+                    parent: projectGid,
+                    status_type: 'on_hold',
+                    title: 'Opportunity deleted in Pipeliner',
+                    text: `${data.name || project.name} was deleted in Pipeliner on ${formatDate(new Date())}. This project is no longer synced.`
+                });
+                logger.info('Marked project deleted', { opportunityId: data.id, projectGid });
+            } else {
+                await asana.put(`/projects/${projectGid}`, { archived: true });
+                logger.info('Archived project', { opportunityId: data.id, projectGid });
+            }
+        } catch (error) {
+            // Already gone from Asana - nothing left to do
+            if (!(error instanceof AsanaNotFoundError)) throw error;
+            logger.info('Project no longer exists in Asana', { opportunityId: data.id, projectGid });
+        }
+        
+        await mappingStore.update(data.id, { removedAs: action, removedAt: new Date().toISOString() });
+    }
+
+    // Opportunity restored in Pipeliner - unarchive its project and drop the [DELETED] prefix
+    async function handleRestoredOpportunity(data) {
+        const mapping = await mappingStore.get(data.id);
+        if (!mapping) {
+            logger.info('No project for restored opportunity, nothing to do', { opportunityId: data.id });
+            return;
+        }
+        const projectGid = mapping.projectGid;
+        
+        try {
+            const project = await asana.get(`/projects/${projectGid}`, { opt_fields: 'name,archived' });
+            const updates = {};
+            if (project.archived) updates.archived = false;
+            if (project.name.startsWith(`${DELETED_PREFIX} `)) updates.name = project.name.slice(DELETED_PREFIX.length + 1);
+            
+            if (Object.keys(updates).length > 0) {
+                await asana.put(`/projects/${projectGid}`, updates);
+            }
+            logger.info('Restored project', { opportunityId: data.id, projectGid });
+        } catch (error) {
+            // Deleted in Asana meanwhile - nothing to bring back
+            if (!(error instanceof AsanaNotFoundError)) throw error;
+            logger.info('Project no longer exists in Asana', { opportunityId: data.id, projectGid });
+        }
+        
+        await mappingStore.update(data.id, { removedAs: null, removedAt: null, restoredAt: new Date().toISOString() });
+    }
+
+    // Opportunities merged in Pipeliner - data is the one merged away, data.mergedIntoId the one kept
+    // The merged opportunity's tasks move into the kept opportunity's project (its project is archived),
+    // or when the kept opportunity has no project yet, it takes over the merged one's
+    async function handleMergedOpportunity(data) {
+        const mergedId = String(data.id);
+        const keptId = String(data.mergedIntoId);
+        const [merged, kept] = await Promise.all([mappingStore.get(mergedId), mappingStore.get(keptId)]);
+        
+        if (!merged) {
+            logger.info('No project for merged opportunity, nothing to move', { opportunityId: mergedId, mergedIntoId: keptId });
+            return;
+        }
+        
+        // The snapshot comes along, so the next update only runs the stage rules for what actually changed
+        if (!kept) {
+            await mappingStore.set(keptId, merged.projectGid, {
+                snapshot: merged.snapshot,
+                createdAt: merged.createdAt,
+                mergedFrom: [...(merged.mergedFrom || []), mergedId]
+            });
+            await mappingStore.remove(mergedId);
+            logger.info('Merged opportunity\'s project now belongs to the kept opportunity', { opportunityId: mergedId, mergedIntoId: keptId, projectGid: merged.projectGid });
+            return;
+        }
+        
+        if (kept.projectGid !== merged.projectGid) {
+            await moveProjectTasks(merged.projectGid, kept.projectGid);
+            if (completionSyncEnabled) {
+                await asanaWebhooks.unregisterProject(merged.projectGid);
+            }
+            try {
+                await asana.put(`/projects/${merged.projectGid}`, { archived: true });
+            } catch (error) {
+                if (!(error instanceof AsanaNotFoundError)) throw error;
+            }
+        }
+        
+        await mappingStore.update(keptId, { mergedFrom: [...(kept.mergedFrom || []), mergedId] });
+        await mappingStore.remove(mergedId);
+        logger.info('Merged opportunity into kept opportunity\'s project', { opportunityId: mergedId, mergedIntoId: keptId, projectGid: kept.projectGid });
+    }
+
+    // Move every top-level task (subtasks come along) into another project, keeping sections that exist there by name
+    // Safe to retry - tasks already moved are no longer listed in the old project
+    async function moveProjectTasks(fromGid, toGid) {
+        let tasks;
+        try {
+            tasks = await asana.getAll(`/projects/${fromGid}/tasks`, { opt_fields: 'name,memberships.project.gid,memberships.section.name' });
+        } catch (error) {
+            if (error instanceof AsanaNotFoundError) return;
+            throw error;
+        }
+        const sections = await getProjectSections(toGid);
+        
+        for (const task of tasks) {
+            const sectionName = (task.memberships || []).find(m => m.project?.gid === fromGid)?.section?.name;
+            const section = sections.find(s => s.name === sectionName);
+            await asana.post(`/tasks/${task.gid}/addProject`, section ? { project: toGid, section: section.gid } : { project: toGid });
+            await asana.post(`/tasks/${task.gid}/removeProject`, { project: fromGid });
+        }
+        
+        // Activity tasks now live in the new project
+        for (const [activityId, link] of await activityTaskStore.entries()) {
+            if (link.projectGid === fromGid) {
+                await activityTaskStore.set(activityId, { ...link, projectGid: toGid });
+            }
+        }
+        logger.info(`Moved ${tasks.length} task(s)`, { fromProjectGid: fromGid, projectGid: toGid });
+    }
+
+    // Set the project owner and add the members and followers from the user directory
+    // Adding people who are already there is a no-op, so this is safe to repeat
+    // With the previous snapshot (a reassignment), the previous owner is taken off the project too
+    async function syncProjectPeople(projectGid, data, previous = null) {
+        const people = await userDirectory.projectPeople(data);
+        
+        if (people.owner) {
+            await asana.put(`/projects/${projectGid}`, { owner: people.owner });
+        }
+        if (people.members.length > 0) {
+            await asana.post(`/projects/${projectGid}/addMembers`, { members: people.members.join(',') });
+        }
+        if (people.followers.length > 0) {
+            await asana.post(`/projects/${projectGid}/addFollowers`, { followers: people.followers.join(',') });
+        }
+
+        // Unless the directory puts them on the project anyway (e.g. as a sales unit member)
+        const previousOwner = previous ? await userDirectory.findOwner(previous) : null;
+        if (previousOwner && previousOwner.gid !== people.owner) {
+            if (!people.followers.includes(previousOwner.gid)) {
+                await asana.post(`/projects/${projectGid}/removeFollowers`, { followers: previousOwner.gid });
+            }
+            if (!people.members.includes(previousOwner.gid)) {
+                await asana.post(`/projects/${projectGid}/removeMembers`, { members: previousOwner.gid });
+            }
+        }
+        logger.info('Synced project people', {
+            projectGid,
+            owner: people.owner,
+            previousOwner: previousOwner ? previousOwner.gid : null,
+            members: people.members.length,
+            followers: people.followers.length
+        });
+    }
+
+    // Has the opportunity moved to a different owner since the last snapshot?
+    function ownerChanged(previous, current) {
+        if (!previous) return false;
+        if (current.ownerId && previous.ownerId) return String(current.ownerId) !== String(previous.ownerId);
+        if (current.ownerEmail && previous.ownerEmail) return current.ownerEmail.toLowerCase() !== previous.ownerEmail.toLowerCase();
+        return false;
+    }
+
+    // Run stage rules for whatever changed since the last snapshot, then store the new snapshot
+    async function syncOpportunityStage(projectGid, previousSnapshot, data) {
+        // Field values we just pushed to Pipeliner ourselves - the first update carrying one is its echo, whether or
+        // not a rule fires for it, so a leftover mark can't hide a real change to the same value later
+        const ownChanges = new Set(Object.keys(data).filter(field => data[field] !== null && typeof data[field] !== 'object'
+            && loopGuard.consume(loopGuard.fieldKey(data.id, field, data[field]))));
+        
+        await applyStageRules({
+            asana,
+            rules: stageRules,
+            projectGid,
+            previous: previousSnapshot,
+            current: data,
+            // Don't re-run rules for those
+            skipTransition: t => ownChanges.has(t.field),
+            // And don't push task changes made by the rules back to Pipeliner
+            beforeTaskChange: (task, completed) => loopGuard.mark(loopGuard.taskKey(task.gid, completed))
+        });
+        
+        // Only saved once the rules succeeded, so a retried job runs them again
+        await mappingStore.update(data.id, { snapshot: data });
+        
+        // Announced after the snapshot is saved, so a retried job doesn't announce it twice
+        if (notifier.isWonStage(data.stage) && !notifier.isWonStage(previousSnapshot?.stage)) {
+            await notifier.notify('opportunityWon', {
+                ...notificationValues(data, projectGid),
+                from: previousSnapshot?.stage,
+                to: data.stage
+            });
+        }
+    }
+    
+    // What notification messages and rules can use - the opportunity, with links and a formatted value
+    function notificationValues(data, projectGid) {
+        return {
+            ...data,
+            tenant: config.tenant,
+            projectName: formatProjectName(data),
+            value: formatNumber(data.value || 0),
+            owner: data.ownerName || data.ownerEmail,
+            projectGid,
+            projectUrl: formatAsanaProjectUrl(projectGid),
+            pipelinerUrl: formatPipelinerUrl(data.id)
+        };
+    }
+    
+    function formatAsanaProjectUrl(projectGid) {
+        return projectGid ? `https://app.asana.com/0/${projectGid}/list` : null;
+    }
+    
+    // A job ran out of retries (or can't be retried) - tell whoever watches for failed syncs
+    async function notifySyncFailed(job, error) {
+        const { entity, action, data = {}, projectGid } = job.payload || {};
+        const mapping = data.id ? await mappingStore.get(data.id).catch(() => null) : null;
+        await notifier.notify('syncFailed', {
+            ...(data.id ? notificationValues(data, mapping?.projectGid) : { projectUrl: formatAsanaProjectUrl(projectGid) }),
+            entity: entity || (job.type === 'asana-events' ? 'Asana task' : null),
+            action: action || (job.type === 'asana-events' ? 'completed' : null),
+            recordId: data.id || projectGid,
+            jobId: job.id,
+            jobType: job.type,
+            attempts: job.attempts,
+            error,
+            adminUrl: config.publicUrl ? `${config.publicUrl.replace(/\/+$/, '')}/admin/jobs/failed` : null
+        });
+    }
+
+    // Format project name based on Pipeliner data
+    function formatProjectName(data) {
+        // Customize this based on your naming convention
+        const parts = [];
+        
+        // Add job number if available
+        if (data.jobNumber) {
+            parts.push(`[${data.jobNumber}]`);
+        }
+        
+        // Add client name if available
+        if (data.accountName) {
+            parts.push(data.accountName);
+        }
+        
+        // Add opportunity name
+        if (data.name) {
+            parts.push(data.name);
+        }
+        
+        // Add value if significant
+        if (data.value && data.value > 0) {
+            parts.push(`(${formatNumber(data.value)})`);
+        }
+        
+        return parts.join(' - ') || 'New Opportunity';
+    }
+
+    // Managed notes block for the project, from the notes template (see lib/projectNotes)
+    // createdAt is when the project was first built; previous is the last snapshot, for the changed fields
+    function formatProjectNotes(data, { createdAt, previous } = {}) {
+        const contactDetails = [data.contactEmail, data.contactPhone].filter(Boolean).join(', ');
+        const now = new Date().toISOString();
+        
+        return renderNotesBlock(notesTemplate, {
+            ...data,
+            contact: data.contactName ? `${data.contactName}${contactDetails ? ` (${contactDetails})` : ''}` : '',
+            value: formatNumber(data.value || 0),
+            expectedRevenue: formatNumber((data.value || 0) * (data.probability || 0) / 100),
+            owner: data.ownerName ? `${data.ownerName}${data.ownerEmail ? ` (${data.ownerEmail})` : ''}` : '',
+            pipelinerUrl: formatPipelinerUrl(data.id),
+            createdAt: createdAt || now,
+            syncedAt: now,
+            changedFields: previous ? changedFields(previous, data).join(', ') : ''
+        });
+    }
+
+    // Link to the opportunity in Pipeliner (PIPELINER_RECORD_URL), or null without a space ID
+    function formatPipelinerUrl(opportunityId) {
+        if (!opportunityId || !config.pipeliner.spaceId) return null;
+        return config.pipeliner.recordUrl
+            .replace('{spaceId}', encodeURIComponent(config.pipeliner.spaceId))
+            .replace('{id}', encodeURIComponent(opportunityId));
+    }
+
+    // Fields whose value differs from the last snapshot (the modified time always does, so it's left out)
+    function changedFields(previous, current) {
+        return Object.keys(current).filter(key =>
+            key !== 'modified' &&
+            current[key] !== undefined &&
+            JSON.stringify(current[key]) !== JSON.stringify(previous[key])
+        );
+    }
+
+    // Determine project color based on value or stage
+    function getProjectColor(data) {
+        // Color based on opportunity value
+        // Note: Asana requires hyphenated color names (light-blue, not light_blue)
+        if (data.value) {
+            if (data.value > 100000) return 'dark-red';        // High value
+            if (data.value > 50000) return 'dark-orange';      // Medium-high value
+            if (data.value > 25000) return 'light-orange';     // Medium value
+            return 'light-green';                               // Lower value
+        }
+        
+        return 'light-blue'; // Default color (with hyphen!)
+    }
+
+    // Create Asana project
+    async function createAsanaProject(projectData) {
+        if (!asana.isConfigured && !isDryRun()) {
+            logger.warn('No Asana token configured. Would create project', { projectName: projectData.name });
+            return null;
+        }
+        
+        try {
+            const asanaPayload = {
+                name: projectData.name,
+                html_notes: mergeManagedBlock('', projectData.notes),
+                color: projectData.color,
+                workspace: config.asana.workspaceId,
+                default_view: 'list' // Can be 'list', 'board', 'timeline', 'calendar'
+            };
+            
+            // Add team if configured (required for some workspaces) - the sales unit's team, or ASANA_TEAM_ID
+            if (projectData.team) {
+                asanaPayload.team = projectData.team;
+            } else {
+                logger.warn('No team ID configured. This may cause errors in team-based workspaces.');
+            }
+            
+            const project = await asana.post('/projects', asanaPayload);
+            logger.info(`Asana project created: ${project.gid}`, { projectGid: project.gid, projectName: projectData.name, url: formatAsanaProjectUrl(project.gid) });
+            
+            return project;
+            
+        } catch (error) {
+            logger.error('Failed to create Asana project', { error });
+            throw error;
+        }
+    }
+
+    // Start copying the configured Asana template into a new project
+    // Works with a regular project (duplicated) or a project template (instantiated) - returns the Asana job
+    async function startTemplateProjectJob(projectData, opportunityData) {
+        if (!asana.isConfigured && !isDryRun()) {
+            logger.warn('No Asana token configured. Would create project from template', { projectName: projectData.name });
+            return null;
+        }
+        
+        const templateGid = config.asana.templateProjectId;
+        const startDate = opportunityData.closeDate ? formatDate(opportunityData.closeDate) : null;
+        
+        try {
+            let job;
+            
+            if (config.asana.templateType === 'project_template') {
+                // Project templates ask for their date variables - all of them are anchored on the close date
+                const template = await asana.get(`/project_templates/${templateGid}`, { opt_fields: 'requested_dates' });
+                const payload = {
+                    name: projectData.name,
+                    team: projectData.team,
+                    public: false
+                };
+                if (template.requested_dates?.length) {
+                    const value = startDate || formatDate(new Date());
+                    payload.requested_dates = template.requested_dates.map(d => ({ gid: d.gid, value }));
+                }
+                
+                logger.info(`Instantiating Asana project template ${templateGid}`, { templateGid, projectName: projectData.name });
+                job = await asana.post(`/project_templates/${templateGid}/instantiateProject`, payload);
+            } else {
+                const payload = {
+                    name: projectData.name,
+                    team: projectData.team,
+                    include: ['members', 'notes', 'task_notes', 'task_assignee', 'task_subtasks', 'task_attachments', 'task_dates', 'task_dependencies', 'task_followers', 'task_tags']
+                };
+                // Shift the template's task dates so the project is due on the close date
+                if (startDate) {
+                    payload.schedule_dates = { due_on: startDate, should_skip_weekends: true };
+                }
+                
+                logger.info(`Duplicating Asana template project ${templateGid}`, { templateGid, projectName: projectData.name });
+                job = await asana.post(`/projects/${templateGid}/duplicate`, payload);
+            }
+            
+            logger.info('Template job started', { asanaJobGid: job.gid, projectGid: job.new_project.gid });
+            return job;
+            
+        } catch (error) {
+            logger.error('Failed to start template project job', { error });
+            throw error;
+        }
+    }
+
+    // Check on an Asana job (duplication/instantiation) - resolves once it has succeeded
+    // While it runs, the queue job is put back to wait (so other webhooks aren't held up) and checks again
+    // every ASANA_JOB_POLL_INTERVAL_MS; after timeoutMs it is retried like any other failure
+    async function checkAsanaJob(jobGid, startedAt, { timeoutMs = 5 * 60 * 1000 } = {}) {
+        const job = await asana.get(`/jobs/${jobGid}`);
+        
+        if (job.status === 'succeeded') return job;
+        if (job.status === 'failed') {
+            const error = new Error(`Asana job ${jobGid} failed`);
+            error.retryable = false;
+            throw error;
+        }
+        
+        if (Date.now() - new Date(startedAt).getTime() < timeoutMs) {
+            const error = new Error(`Asana job ${jobGid} is ${job.status}`);
+            error.waiting = true;
+            error.retryAfterMs = config.asana.jobPollIntervalMs;
+            throw error;
+        }
+        
+        // Still running - the queue retries and checks the same job again
+        const error = new Error(`Timed out waiting for Asana job ${jobGid}`);
+        error.retryable = true;
+        throw error;
+    }
+
+    // Create the template's sections in the project (columns for board view)
+    async function createProjectSections(projectGid, template) {
+        const existing = (await getProjectSections(projectGid)).map(s => s.name);
+        const failures = [];
+        
+        for (const { name: sectionName } of template.sections) {
+            if (existing.includes(sectionName)) continue;
+            
+            try {
+                await asana.post(`/projects/${projectGid}/sections`, { name: sectionName });
+                logger.info('Created section', { projectGid, sectionName });
+            } catch (error) {
+                logger.warn('Failed to create section', { projectGid, sectionName, error });
+                failures.push({ name: sectionName, error });
+            }
+        }
+        
+        throwIfFailed('section', failures);
+    }
+
+    // Create the template's initial tasks (and subtasks) in the project
+    async function createInitialTasks(projectGid, opportunityData, template) {
+        logger.info(`Creating initial project tasks from template: ${template.id}`, { projectGid });
+        
+        // Get sections first, and skip tasks a previous attempt already created
+        const sections = await getProjectSections(projectGid);
+        const existingTasks = await getProjectTasks(projectGid);
+        const failures = [];
+        
+        for (const sectionTemplate of template.sections) {
+            const section = sections.find(s => s.name === sectionTemplate.name);
+            
+            for (const taskTemplate of sectionTemplate.tasks || []) {
+                try {
+                    const existing = existingTasks.find(t => t.name === taskTemplate.name);
+                    let taskGid = existing ? existing.gid : null;
+                    
+                    if (!taskGid) {
+                        const payload = buildTemplateTask(taskTemplate, opportunityData);
+                        payload.projects = [projectGid];
+                        
+                        // Add to specific section if found
+                        if (section) {
+                            payload.memberships = [{
+                                project: projectGid,
+                                section: section.gid
+                            }];
+                        }
+                        
+                        taskGid = (await createTaskWithAssignee(payload)).gid;
+                        logger.info(`Created task ${taskGid}`, { projectGid, taskGid, taskName: taskTemplate.name });
+                    }
+                    
+                    if (taskTemplate.subtasks && taskTemplate.subtasks.length > 0) {
+                        await createSubtasks(taskGid, taskTemplate.subtasks, opportunityData, Boolean(existing));
+                    }
+                    
+                } catch (error) {
+                    logger.warn('Failed to create task', { projectGid, taskName: taskTemplate.name, error });
+                    failures.push({ name: taskTemplate.name, error });
+                }
+            }
+        }
+        
+        throwIfFailed('task', failures);
+    }
+
+    // Create subtasks under a template task (checking existing ones when resuming)
+    async function createSubtasks(parentGid, subtaskTemplates, opportunityData, checkExisting) {
+        const existing = checkExisting
+            ? (await asana.getAll(`/tasks/${parentGid}/subtasks`, { opt_fields: 'name' })).map(t => t.name)
+            : [];
+        
+        for (const subtaskTemplate of subtaskTemplates) {
+            if (existing.includes(subtaskTemplate.name)) continue;
+            
+            await createTaskWithAssignee(buildTemplateTask(subtaskTemplate, opportunityData), `/tasks/${parentGid}/subtasks`);
+            logger.info('Created subtask', { parentGid, taskName: subtaskTemplate.name });
+        }
+    }
+
+    // Asana task payload for a template task - due date and assignee come from the template rules
+    function buildTemplateTask(taskTemplate, opportunityData) {
+        const payload = {
+            name: taskTemplate.name,
+            notes: taskTemplate.notes || ''
+        };
+        
+        const dueOn = taskTemplate.due ? resolveDueDate(taskTemplate.due, opportunityData) : null;
+        if (dueOn) payload.due_on = dueOn;
+        
+        const assignee = resolveAssignee(taskTemplate.assignee, opportunityData);
+        if (assignee) payload.assignee = assignee;
+        
+        return payload;
+    }
+
+    // Create a task, falling back to unassigned when Asana rejects the assignee
+    async function createTaskWithAssignee(payload, path = '/tasks') {
+        try {
+            return await asana.post(path, payload);
+        } catch (error) {
+            if (!payload.assignee || !(error instanceof AsanaValidationError)) throw error;
+            
+            logger.warn('Could not assign task, creating it unassigned', { taskName: payload.name, assignee: payload.assignee });
+            return asana.post(path, { ...payload, assignee: undefined });
+        }
+    }
+
+    // Throw one error for a batch of failed creates so the job is retried
+    function throwIfFailed(kind, failures) {
+        if (failures.length === 0) return;
+        
+        const error = new Error(`Failed to create ${failures.length} ${kind}(s): ${failures.map(f => f.name).join(', ')}`);
+        error.retryable = failures.some(f => isRetryable(f.error));
+        error.retryAfterMs = Math.max(0, ...failures.map(f => f.error.retryAfterMs || 0)) || null; // Honour Retry-After in the backoff
+        throw error;
+    }
+
+    // Get project sections (all pages)
+    async function getProjectSections(projectGid) {
+        try {
+            return await asana.getAll(`/projects/${projectGid}/sections`);
+        } catch (error) {
+            logger.error('Failed to get project sections', { projectGid, error });
+            throw error;
+        }
+    }
+
+    // Get the tasks already in a project
+    async function getProjectTasks(projectGid) {
+        try {
+            return await asana.getAll(`/projects/${projectGid}/tasks`, { opt_fields: 'name' });
+        } catch (error) {
+            logger.error('Failed to get project tasks', { projectGid, error });
+            throw error;
         }
-        
-        // Send success response to Pipeliner
-        res.status(200).json({ 
-            success: true, 
-            message: 'Webhook processed successfully' 
-        });
-        
-    } catch (error) {
-        console.error('Error processing webhook:', error.message);
-        res.status(500).json({ 
-            success: false, 
-            error: error.message 
-        });
     }
-});
 
-// Handle NEW Opportunity - Create Project
-async function handleNewOpportunity(data) {
-    console.log(`Creating new Asana project for opportunity: ${data.name || data.id}`);
-    
-    try {
-        // Create the project
-        const project = await createAsanaProject({
-            name: formatProjectName(data),
-            notes: formatProjectNotes(data),
-            color: getProjectColor(data)
-        });
-        
-        if (project) {
-            console.log(`✓ Created Asana project: ${project.gid}`);
+    // Update existing Asana project
+    // updates.notes is the managed notes block - it replaces the block in the current notes, the rest is kept
+    async function updateAsanaProject(projectGid, updates) {
+        try {
+            const payload = {
+                name: updates.name
+            };
+            if (updates.color) payload.color = updates.color;
+            if (updates.notes) {
+                const project = await asana.get(`/projects/${projectGid}`, { opt_fields: 'html_notes' });
+                payload.html_notes = mergeManagedBlock(project.html_notes, updates.notes);
+            }
+            
+            await asana.put(`/projects/${projectGid}`, payload);
             
-            // Create initial tasks in the project
-            await createInitialTasks(project.gid, data);
+            logger.info('Project updated', { projectGid });
             
-            // Store the mapping for future updates
-            await storeProjectMapping(data.id, project.gid);
+        } catch (error) {
+            logger.error('Failed to update project', { projectGid, error });
+            throw error;
         }
-        
-    } catch (error) {
-        console.error('Error creating project:', error.message);
-        throw error;
     }
-}
 
-// Handle UPDATED Opportunity - Update Project
-async function handleUpdatedOpportunity(data) {
-    console.log(`Updating Asana project for opportunity: ${data.name || data.id}`);
-    
-    try {
-        // Find the existing project (you'd need to store mappings in a database)
-        const projectGid = await findProjectByOpportunityId(data.id);
+    // Handle Activity webhooks - keep a task in the related project in step with the activity
+    async function handleActivity(action, data) {
+        logger.info(`Processing Activity ${action}: ${data.id}`, { activityId: data.id, activitySubject: data.subject });
         
-        if (projectGid) {
-            // Update the existing project
-            await updateAsanaProject(projectGid, {
-                name: formatProjectName(data),
-                notes: formatProjectNotes(data)
-            });
-            console.log(`✓ Updated Asana project: ${projectGid}`);
-        } else {
-            // Project doesn't exist, create it
-            console.log('Project not found, creating new one');
-            await handleNewOpportunity(data);
+        const link = data.id ? await activityTaskStore.get(String(data.id)) : null;
+        
+        if (action === 'delete') {
+            if (link) await removeActivityTask(link);
+            return;
         }
         
-    } catch (error) {
-        console.error('Error updating project:', error.message);
-    }
-}
-
-// Format project name based on Pipeliner data
-function formatProjectName(data) {
-    // Customize this based on your naming convention
-    const parts = [];
-    
-    // Add job number if available
-    if (data.jobNumber) {
-        parts.push(`[${data.jobNumber}]`);
-    }
-    
-    // Add client name if available
-    if (data.accountName) {
-        parts.push(data.accountName);
-    }
-    
-    // Add opportunity name
-    if (data.name) {
-        parts.push(data.name);
-    }
-    
-    // Add value if significant
-    if (data.value && data.value > 0) {
-        parts.push(`(${formatNumber(data.value)})`);
+        // Already linked - update the task (unless it was deleted in Asana, then recreate it)
+        if (link && await updateActivityTask(link, data, action === 'complete')) {
+            return;
+        }
+        
+        const projectGid = await findActivityProject(data);
+        if (!projectGid) return;
+        
+        // Add activity as a task in the project
+        const payload = await buildActivityTask(data);
+        if (action === 'complete') payload.completed = true;
+        const task = await createTaskInProject(projectGid, payload);
+        
+        // Remember the link so later updates edit this task, and completing it can complete the activity
+        if (data.id) {
+            await activityTaskStore.set(String(data.id), {
+                activityId: String(data.id),
+                taskGid: task.gid,
+                projectGid,
+                createdAt: new Date().toISOString()
+            });
+        }
     }
-    
-    return parts.join(' - ') || 'New Opportunity';
-}
 
-// Format project description/notes
-function formatProjectNotes(data) {
-    const notes = [];
-    
-    notes.push('=== PIPELINER OPPORTUNITY DETAILS ===\n');
-    notes.push(`Pipeliner ID: ${data.id || 'N/A'}`);
-    notes.push(`Job Number: ${data.jobNumber || 'N/A'}`);
-    notes.push(`Job Status: ${data.jobStatus || 'N/A'}`);
-    notes.push(`Opportunity Name: ${data.name || 'N/A'}`);
-    notes.push(`Account: ${data.accountName || 'N/A'}`);
-    notes.push(`Value: ${formatNumber(data.value || 0)}`);
-    notes.push(`Probability: ${data.probability || 0}%`);
-    notes.push(`Expected Revenue: ${formatNumber((data.value || 0) * (data.probability || 0) / 100)}`);
-    notes.push(`Stage: ${data.stage || 'N/A'}`);
-    notes.push(`Close Date: ${data.closeDate || 'Not set'}`);
-    notes.push(`Owner: ${data.ownerName || 'N/A'}`);
-    
-    // Add custom fields if they exist
-    if (data.projectType) notes.push(`Project Type: ${data.projectType}`);
-    if (data.equipmentType) notes.push(`Equipment Type: ${data.equipmentType}`);
-    if (data.facility) notes.push(`Facility: ${data.facility}`);
-    
-    notes.push(`\n=== DESCRIPTION ===\n${data.description || 'No description provided'}`);
-    
-    // Add links
-    notes.push(`\n=== LINKS ===`);
-    if (data.intranetJobUrl) {
-        notes.push(`Intranet Job URL: ${data.intranetJobUrl}`);
-    }
-    if (data.id) {
-        notes.push(`View in Pipeliner: [Add your Pipeliner URL structure here]`);
+    // The project an activity belongs in - its opportunity's project, or the Sales Inbox when it has no opportunity
+    async function findActivityProject(data) {
+        if (data.opportunityId) {
+            const projectGid = await findProjectByOpportunityId(data.opportunityId);
+            if (!projectGid) {
+                logger.info('No project found for opportunity, activity skipped', { opportunityId: data.opportunityId, activityId: data.id });
+            }
+            return projectGid;
+        }
+        
+        if (!config.asana.salesInboxProjectId) {
+            logger.info('Activity has no opportunity and no Sales Inbox project is configured, skipped', { activityId: data.id });
+            return null;
+        }
+        return config.asana.salesInboxProjectId;
     }
-    
-    notes.push(`\n=== SYNC INFO ===`);
-    notes.push(`Created from Pipeliner webhook: ${new Date().toISOString()}`);
-    
-    return notes.join('\n');
-}
 
-// Determine project color based on value or stage
-function getProjectColor(data) {
-    // Color based on opportunity value
-    // Note: Asana requires hyphenated color names (light-blue, not light_blue)
-    if (data.value) {
-        if (data.value > 100000) return 'dark-red';        // High value
-        if (data.value > 50000) return 'dark-orange';      // Medium-high value
-        if (data.value > 25000) return 'light-orange';     // Medium value
-        return 'light-green';                               // Lower value
+    // Is the activity finished in Pipeliner?
+    function isActivityCompleted(data) {
+        if (data.completed === true) return true;
+        return /^(completed?|done|closed)$/i.test(String(data.status || ''));
     }
-    
-    return 'light-blue'; // Default color (with hyphen!)
-}
 
-// Create Asana project
-async function createAsanaProject(projectData) {
-    if (!config.asana.accessToken) {
-        console.log('WARNING: No Asana token configured. Would create project:', projectData.name);
-        return null;
-    }
-    
-    try {
-        const asanaPayload = {
-            data: {
-                name: projectData.name,
-                notes: projectData.notes,
-                color: projectData.color,
-                workspace: config.asana.workspaceId,
-                default_view: 'list' // Can be 'list', 'board', 'timeline', 'calendar'
-            }
+    // Asana task fields for an activity - type and priority go in the notes, the owner becomes the assignee
+    async function buildActivityTask(data) {
+        const details = [];
+        if (data.type) details.push(`Type: ${data.type}`);
+        if (data.priority) details.push(`Priority: ${data.priority}`);
+        if (data.ownerName) details.push(`Owner: ${data.ownerName}`);
+        
+        const description = data.description || 'Activity from Pipeliner';
+        const payload = {
+            name: data.subject || 'New Activity',
+            notes: details.length > 0 ? `${details.join('\n')}\n\n${description}` : description
         };
         
-        // Add team if configured (required for some workspaces)
-        if (config.asana.teamId) {
-            asanaPayload.data.team = config.asana.teamId;
-        } else {
-            console.log('Warning: No team ID configured. This may cause errors in team-based workspaces.');
+        if (data.dueDate) {
+            payload.due_on = formatDate(data.dueDate);
         }
         
-        console.log('Creating Asana project:', projectData.name);
+        const assignee = await userDirectory.findOwner(data);
+        if (assignee) {
+            payload.assignee = assignee.gid;
+        }
         
-        const response = await axios.post(
-            'https://app.asana.com/api/1.0/projects',
-            asanaPayload,
-            {
-                headers: {
-                    'Authorization': `Bearer ${config.asana.accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        if (isActivityCompleted(data)) {
+            payload.completed = true;
+        }
         
-        const project = response.data.data;
-        console.log(`✓ Asana project created! Project URL: https://app.asana.com/0/${project.gid}/list`);
+        return payload;
+    }
+
+    // Update the task linked to an activity - returns false if the task no longer exists in Asana
+    async function updateActivityTask(link, data, completedAction) {
+        let task;
+        try {
+            task = await asana.get(`/tasks/${link.taskGid}`, { opt_fields: 'completed' });
+        } catch (error) {
+            if (!(error instanceof AsanaNotFoundError)) throw error;
+            logger.info('Activity task was deleted in Asana, creating a new one', { activityId: link.activityId, taskGid: link.taskGid });
+            await activityTaskStore.delete(link.activityId);
+            return false;
+        }
         
-        // Create sections in the project
-        await createProjectSections(project.gid);
+        const payload = await buildActivityTask(data);
+        if (completedAction) payload.completed = true;
         
-        return project;
+        // Completion only flows one way here - we never reopen a task someone finished in Asana
+        if (payload.completed && !task.completed) {
+            loopGuard.mark(loopGuard.taskKey(link.taskGid, true));
+        }
         
-    } catch (error) {
-        console.error('✗ Failed to create Asana project:', error.response?.data || error.message);
-        throw error;
+        await asana.put(`/tasks/${link.taskGid}`, payload);
+        await activityTaskStore.set(link.activityId, { ...link, updatedAt: new Date().toISOString() });
+        logger.info(`Updated activity task ${link.taskGid}${payload.completed ? ' (completed)' : ''}`, { activityId: link.activityId, taskGid: link.taskGid, taskName: payload.name });
+        return true;
     }
-}
 
-// Create sections in the project (columns for board view)
-async function createProjectSections(projectGid) {
-    const sections = [
-        '📋 Design & Planning',
-        '🔨 Build Stages',
-        '🧪 Testing',
-        '✅ Complete'
-    ];
-    
-    for (const sectionName of sections) {
+    // An activity was deleted - delete its task, or mark it cancelled (ACTIVITY_DELETE_POLICY)
+    async function removeActivityTask(link) {
         try {
-            await axios.post(
-                `https://app.asana.com/api/1.0/projects/${projectGid}/sections`,
-                {
-                    data: { name: sectionName }
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${config.asana.accessToken}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-            console.log(`  → Created section: ${sectionName}`);
+            if (config.activities.deletePolicy === 'delete') {
+                await asana.delete(`/tasks/${link.taskGid}`);
+                logger.info('Deleted activity task', { activityId: link.activityId, taskGid: link.taskGid });
+            } else {
+                const task = await asana.get(`/tasks/${link.taskGid}`, { opt_fields: 'name,completed' });
+                const name = task.name.startsWith('[CANCELLED]') ? task.name : `[CANCELLED] ${task.name}`;
+                if (!task.completed) loopGuard.mark(loopGuard.taskKey(link.taskGid, true));
+                await asana.put(`/tasks/${link.taskGid}`, { name, completed: true });
+                logger.info(`Cancelled activity task ${link.taskGid}`, { activityId: link.activityId, taskGid: link.taskGid, taskName: task.name });
+            }
         } catch (error) {
-            console.error(`  ✗ Failed to create section ${sectionName}:`, error.message);
+            // Already gone from Asana - nothing left to do
+            if (!(error instanceof AsanaNotFoundError)) throw error;
         }
+        
+        await activityTaskStore.delete(link.activityId);
     }
-}
 
-// Create initial tasks in the project
-async function createInitialTasks(projectGid, opportunityData) {
-    console.log('Creating initial project tasks...');
-    
-    // Define tasks for panel shop workflow
-    const tasks = [
-        // Design & Planning section
-        {
-            name: 'Quote Delivered',
-            notes: 'Quote has been delivered to customer',
-            section: '📋 Design & Planning'
-        },
-        {
-            name: 'PO Received',
-            notes: 'Purchase Order received from customer',
-            section: '📋 Design & Planning'
-        },
-        {
-            name: 'Electrical Drawings',
-            notes: 'Complete electrical drawings and schematics',
-            section: '📋 Design & Planning'
-        },
-        {
-            name: 'Hardware Order Placed',
-            notes: 'All hardware and components ordered',
-            section: '📋 Design & Planning'
-        },
-        {
-            name: 'Hardware Received',
-            notes: 'All hardware and components received and verified',
-            section: '📋 Design & Planning'
-        },
-        // Build Stages section
-        {
-            name: 'Fabrication',
-            notes: 'Panel fabrication and metalwork complete',
-            section: '🔨 Build Stages'
-        },
-        {
-            name: 'Assembly',
-            notes: 'Component assembly and mounting complete',
-            section: '🔨 Build Stages'
-        },
-        {
-            name: 'Wiring',
-            notes: 'All wiring and terminations complete',
-            section: '🔨 Build Stages'
-        },
-        {
-            name: 'Labeling/Documentation',
-            notes: 'All labels applied and documentation complete',
-            section: '🔨 Build Stages'
-        },
-        // Testing section
-        {
-            name: 'UL Certification (if applicable)',
-            notes: 'UL inspection and certification complete',
-            section: '🧪 Testing'
-        },
-        {
-            name: 'Crating',
-            notes: 'Panels crated and ready for shipment',
-            section: '🧪 Testing'
-        },
-        {
-            name: 'Shipping',
-            notes: 'Shipped to customer site',
-            section: '🧪 Testing'
-        },
-        // Complete section
-        {
-            name: 'Job Complete',
-            notes: 'Project delivered and closed',
-            section: '✅ Complete'
-        }
-    ];
-    
-    // Get sections first
-    const sections = await getProjectSections(projectGid);
-    
-    for (const taskData of tasks) {
+    // Create task in a specific project
+    async function createTaskInProject(projectGid, taskData) {
         try {
-            const section = sections.find(s => s.name === taskData.section);
-            
             const payload = {
-                data: {
-                    name: taskData.name,
-                    notes: taskData.notes,
-                    projects: [projectGid]
-                }
+                ...taskData,
+                projects: [projectGid]
             };
             
-            // Add to specific section if found
-            if (section) {
-                payload.data.memberships = [{
-                    project: projectGid,
-                    section: section.gid
-                }];
-            }
-            
-            await axios.post(
-                'https://app.asana.com/api/1.0/tasks',
-                payload,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${config.asana.accessToken}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
+            const task = await asana.post('/tasks', payload);
             
-            console.log(`  → Created task: ${taskData.name}`);
+            logger.info(`Added activity task ${task.gid}`, { projectGid, taskGid: task.gid, taskName: taskData.name });
+            return task;
             
         } catch (error) {
-            console.error(`  ✗ Failed to create task ${taskData.name}:`, error.message);
+            logger.error('Failed to create task', { projectGid, error });
+            throw error;
         }
     }
-}
 
-// Get project sections
-async function getProjectSections(projectGid) {
-    try {
-        const response = await axios.get(
-            `https://app.asana.com/api/1.0/projects/${projectGid}/sections`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${config.asana.accessToken}`
-                }
+    // Process queued Asana webhook events - pushes task completions back to Pipeliner
+    async function processAsanaEvents({ projectGid, events }) {
+        const taskGids = [...new Set(events.map(e => e.resource.gid))];
+        
+        for (const taskGid of taskGids) {
+            const task = await asana.get(`/tasks/${taskGid}`, { opt_fields: 'name,completed' });
+            
+            // Our own stage rules completed this task - nothing to push back
+            if (loopGuard.consume(loopGuard.taskKey(taskGid, task.completed))) {
+                logger.info(`Ignoring our own change to task ${taskGid}`, { taskGid, taskName: task.name });
+                continue;
             }
-        );
-        return response.data.data;
-    } catch (error) {
-        console.error('Failed to get project sections:', error.message);
-        return [];
+            if (!task.completed) continue;
+            
+            await pushTaskCompletionToPipeliner(projectGid, task);
+        }
     }
-}
 
-// Update existing Asana project
-async function updateAsanaProject(projectGid, updates) {
-    try {
-        const payload = {
-            data: {
-                name: updates.name,
-                notes: updates.notes
-            }
-        };
+    // Update the Pipeliner activity or opportunity field linked to a completed task
+    async function pushTaskCompletionToPipeliner(projectGid, task) {
+        if (!pipeliner.isConfigured) {
+            logger.warn(`Pipeliner API not configured. Would sync completion of task ${task.gid}`, { taskGid: task.gid, taskName: task.name });
+            return;
+        }
         
-        await axios.put(
-            `https://app.asana.com/api/1.0/projects/${projectGid}`,
-            payload,
-            {
-                headers: {
-                    'Authorization': `Bearer ${config.asana.accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        // Tasks created from activities complete the activity
+        const activityLink = (await activityTaskStore.entries()).find(([, link]) => link.taskGid === task.gid);
+        if (activityLink) {
+            if (!completionSync.activityCompleted) return;
+            const { entity, fields } = completionSync.activityCompleted;
+            await pipeliner.updateEntity(entity, activityLink[0], fields);
+            logger.info(`Completed Pipeliner activity from task ${task.gid}`, { activityId: activityLink[0], taskGid: task.gid, taskName: task.name });
+            return;
+        }
         
-        console.log('✓ Project updated successfully');
+        // Milestone tasks update fields on the opportunity
+        const update = opportunityUpdateForTask(completionSync, task.name);
+        if (!update) return;
+        
+        const mapping = await mappingStore.findByProjectGid(projectGid);
+        if (!mapping) {
+            logger.warn(`No opportunity mapped to project, task ${task.gid} not synced`, { projectGid, taskGid: task.gid, taskName: task.name });
+            return;
+        }
         
-    } catch (error) {
-        console.error('Failed to update project:', error.message);
+        // Pipeliner will send us an update webhook for this - mark it so stage rules ignore the echo
+        for (const [field, value] of Object.entries(update.fields)) {
+            loopGuard.mark(loopGuard.fieldKey(mapping.opportunityId, field, value));
+        }
+        await pipeliner.updateOpportunity(mapping.opportunityId, update.apiFields);
+        logger.info(`Updated Pipeliner opportunity from task ${task.gid}`, { opportunityId: mapping.opportunityId, taskGid: task.gid, taskName: task.name });
     }
-}
 
-// Handle Activity webhooks - Add as tasks to related project
-async function handleActivity(action, data) {
-    console.log(`Processing Activity ${action}:`, data.subject || data.id);
-    
-    // Find the project this activity relates to
-    if (data.relatedOpportunityId || data.opportunityId) {
-        const projectGid = await findProjectByOpportunityId(data.relatedOpportunityId || data.opportunityId);
-        
-        if (projectGid) {
-            // Add activity as a task in the project
-            await createTaskInProject(projectGid, {
-                name: data.subject || 'New Activity',
-                notes: data.description || 'Activity from Pipeliner',
-                due_on: data.dueDate ? formatDate(data.dueDate) : null
-            });
+    // Format number with commas
+    function formatNumber(num) {
+        return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+    }
+
+    // Format date for Asana (YYYY-MM-DD)
+    function formatDate(dateString) {
+        try {
+            const date = new Date(dateString);
+            return date.toISOString().split('T')[0];
+        } catch {
+            return null;
         }
     }
-}
 
-// Create task in a specific project
-async function createTaskInProject(projectGid, taskData) {
-    try {
-        const payload = {
+    // Store project mapping so later updates and activities find the project
+    async function storeProjectMapping(opportunityId, projectGid, details = {}) {
+        if (!opportunityId) {
+            logger.warn('Opportunity has no ID, mapping not stored', { projectGid });
+            return { projectGid: String(projectGid), ...details };
+        }
+        
+        const mapping = await mappingStore.set(opportunityId, projectGid, details);
+        logger.info('Mapping stored', { opportunityId, projectGid });
+        return mapping;
+    }
+
+    // Find project by opportunity ID (returns the project GID or null)
+    async function findProjectByOpportunityId(opportunityId) {
+        const mapping = await mappingStore.get(opportunityId);
+        return mapping ? mapping.projectGid : null;
+    }
+
+    // Asana webhook endpoint - handshake, then signed task change events
+    app.post('/webhook/asana', correlate, async (req, res) => {
+        const projectGid = req.query.project;
+        
+        try {
+            // Handshake: echo the secret back, but only for a webhook we are registering right now
+            const hookSecret = req.get('x-hook-secret');
+            if (hookSecret) {
+                if (await asanaWebhooks.acceptHandshake(projectGid, hookSecret)) {
+                    res.set('X-Hook-Secret', hookSecret);
+                    return res.status(200).end();
+                }
+                logger.warn('Rejected unexpected Asana webhook handshake', { projectGid });
+                return res.status(401).json({ success: false, error: 'Unexpected handshake' });
+            }
+            
+            if (!(await asanaWebhooks.verifySignature(projectGid, req.rawBody, req.get('x-hook-signature')))) {
+                logger.warn('Rejected Asana webhook: invalid signature', { projectGid });
+                return res.status(401).json({ success: false, error: 'Invalid signature' });
+            }
+            
+            // Only task completion changes matter - queue them so Pipeliner outages are retried
+            const events = (req.body.events || []).filter(e =>
+                e.resource?.resource_type === 'task' && e.change?.field === 'completed'
+            );
+            if (events.length > 0) {
+                const job = await jobQueue.enqueue('asana-events', { projectGid, events }, { groupKey: `asana:${projectGid}`, correlationId: req.correlationId });
+                await logEvent({
+                    source: 'asana',
+                    entity: 'Task',
+                    action: 'completed',
+                    recordId: events.map(e => e.resource.gid).join(', '),
+                    name: `Project ${projectGid}`,
+                    status: 'queued',
+                    jobId: job.id,
+                    payload: { projectGid, events }
+                });
+            }
+            
+            res.status(200).json({ success: true });
+            
+        } catch (error) {
+            logger.error('Error processing Asana webhook', { projectGid, error });
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Test endpoint - simulates a Pipeliner webhook
+    app.post('/test', adminAuth, async (req, res) => {
+        logger.info('Test endpoint called');
+        
+        // Sample test data - simplified to match the 5 fields
+        const testData = {
+            entity: 'Opportunity',
+            action: 'create',
             data: {
-                name: taskData.name,
-                notes: taskData.notes,
-                projects: [projectGid]
+                id: `test-${Date.now()}`,
+                name: 'Test Project Name',
+                accountName: 'Test Client Company',
+                value: 125000,
+                jobNumber: 'JOB-2025-001',
+                intranetJobUrl: 'https://intranet.grantek.com/job/2025-001'
             }
         };
         
-        if (taskData.due_on) {
-            payload.data.due_on = taskData.due_on;
+        if (config.dryRun || req.query.dryRun === 'true') {
+            return respondWithDryRun(res, () => handleNewOpportunity(testData.data), { testData });
         }
         
-        await axios.post(
-            'https://app.asana.com/api/1.0/tasks',
-            payload,
-            {
-                headers: {
-                    'Authorization': `Bearer ${config.asana.accessToken}`,
-                    'Content-Type': 'application/json'
-                }
+        // Process the test webhook
+        try {
+            await handleNewOpportunity(testData.data);
+            res.json({ 
+                success: true, 
+                message: 'Test completed! Check Asana for the new project.',
+                testData: testData,
+                asanaUrl: 'Check your Asana workspace for the new project'
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Admin area - dashboard, events, mappings and failed jobs
+    app.use('/admin', createAdminRouter({
+        adminAuth,
+        jobQueue,
+        mappingStore,
+        eventLog,
+        actions: { relink: relinkOpportunity, resync: resyncOpportunity }
+    }));
+
+    // Point an opportunity at a different (or its first) Asana project by hand
+    async function relinkOpportunity(opportunityId, projectGid) {
+        const mapping = await storeProjectMapping(opportunityId, projectGid, { relinkedAt: new Date().toISOString() });
+        if (completionSyncEnabled) {
+            await asanaWebhooks.registerProject(String(projectGid));
+        }
+        return mapping;
+    }
+
+    // Queue an update for an opportunity from its last snapshot - the same path as an update webhook
+    async function resyncOpportunity(opportunityId) {
+        const mapping = await mappingStore.get(opportunityId);
+        if (!mapping) return null;
+        
+        const data = { ...mapping.snapshot, id: String(opportunityId) };
+        const job = await jobQueue.enqueue('pipeliner-webhook', { entity: 'Opportunity', action: 'update', data }, { groupKey: `opportunity:${opportunityId}` });
+        await logEvent({ source: 'admin', entity: 'Opportunity', action: 'resync', recordId: String(opportunityId), name: data.name, status: 'queued', jobId: job.id });
+        return job;
+    }
+
+    // Every Asana project in the team (or workspace), archived ones included
+    async function listAsanaProjects() {
+        const params = { opt_fields: 'name,archived' };
+        if (config.asana.teamId) {
+            return asana.getAll(`/teams/${config.asana.teamId}/projects`, params);
+        }
+        return asana.getAll('/projects', { ...params, workspace: config.asana.workspaceId });
+    }
+
+    // Parse "--since 2025-01-01 --dry-run" style options
+    function parseCommandOptions(args) {
+        const options = {};
+        for (let i = 0; i < args.length; i++) {
+            const match = /^--([\w-]+)(?:=(.*))?$/.exec(args[i]);
+            if (!match) throw new Error(`Unexpected argument: ${args[i]}`);
+            if (match[2] !== undefined) {
+                options[match[1]] = match[2];
+            } else if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+                options[match[1]] = args[++i];
+            } else {
+                options[match[1]] = true;
             }
-        );
+        }
+        return options;
+    }
+
+    // node index.js reconcile [--since <date>] [--dry-run]
+    // Creates, updates or links projects for opportunities the webhooks missed, then prints a diff and a JSON summary
+    async function runReconcileCommand(args) {
+        const options = parseCommandOptions(args);
+        const since = options.since === undefined ? undefined : String(options.since);
+        if (since !== undefined && Number.isNaN(new Date(since).getTime())) {
+            throw new Error(`--since must be a date, got "${since}"`);
+        }
+        if (!pipeliner.isConfigured) {
+            throw new Error('Reconcile needs the Pipeliner API (PIPELINER_API_URL, PIPELINER_SPACE_ID, PIPELINER_API_USERNAME, PIPELINER_API_PASSWORD)');
+        }
         
-        console.log(`  → Added activity task: ${taskData.name}`);
+        const dryRun = Boolean(options['dry-run']);
+        // A dry run only reads, so it can run next to the server
+        const releaseLock = dryRun ? () => {} : lockDataDir('reconcile');
+        logger.info(`Reconciling Pipeliner opportunities${since ? ` modified since ${since}` : ''}${dryRun ? ' (dry run)' : ''}`);
         
-    } catch (error) {
-        console.error('Failed to create task:', error.message);
+        const reconciler = createReconciler({
+            pipeliner,
+            mappingStore,
+            enricher: opportunityEnricher,
+            aliases: fieldAliases,
+            listProjects: listAsanaProjects,
+            formatProjectName,
+            handlers: { create: handleNewOpportunity, update: handleUpdatedOpportunity }
+        });
+        let result;
+        try {
+            result = await reconciler.run({ since, dryRun });
+        } finally {
+            releaseLock();
+        }
+        
+        console.log('');
+        console.log('=== RECONCILE REPORT ===');
+        console.log(formatReport(result));
+        console.log('');
+        console.log(JSON.stringify(result, null, 2));
+        
+        return result.failed > 0 ? 1 : 0;
     }
-}
 
-// Format number with commas
-function formatNumber(num) {
-    return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-}
+    // What the integration is running with, for the startup log
+    function describe() {
+        return {
+            asanaToken: Boolean(config.asana.accessToken),
+            workspaceId: config.asana.workspaceId || null,
+            teamId: config.asana.teamId || null,
+            webhookAuth: Boolean(config.security.webhookSigningSecret || config.security.webhookSharedSecret),
+            admin: Boolean(config.security.adminApiKey),
+            storage: config.storage.driver === 'json' ? `json (${config.storage.dataDir})` : config.storage.driver,
+            dryRun: config.dryRun,
+            template: config.asana.templateProjectId
+                ? `${config.asana.templateType} ${config.asana.templateProjectId}`
+                : `${projectTemplates.templates.map(t => t.id).join(', ')} (default ${projectTemplates.defaultId})`,
+            stageRules: stageRules.length,
+            notifications: notifier.isEnabled ? 'on' : 'off',
+            completionSync: completionSyncEnabled ? (config.publicUrl ? 'on' : 'on, but no PUBLIC_URL for Asana webhooks') : 'off'
+        };
+    }
 
-// Format date for Asana (YYYY-MM-DD)
-function formatDate(dateString) {
-    try {
-        const date = new Date(dateString);
-        return date.toISOString().split('T')[0];
-    } catch (error) {
-        return null;
+    // Only one process may write to the json stores' files at a time (see lib/dataDirLock.js)
+    function lockDataDir(command) {
+        return config.storage.driver === 'json' ? acquireDataDirLock(config.storage.dataDir, command) : () => {};
     }
-}
 
-// Store project mapping (in production, use a database)
-async function storeProjectMapping(opportunityId, projectGid) {
-    // In production, store this in a database
-    // For now, just log it
-    console.log(`Mapping stored: Opportunity ${opportunityId} -> Project ${projectGid}`);
-    
-    // Example database storage:
-    // await db.mappings.insert({
-    //     opportunityId,
-    //     projectGid,
-    //     createdAt: new Date()
-    // });
+    let server = null;
+    let releaseLock = null;
+
+    // Take the data directory, listen on the port and start processing queued jobs - resolves with the http.Server
+    function start(port = config.port) {
+        return new Promise((resolve, reject) => {
+            releaseLock = lockDataDir('server');
+            process.once('exit', releaseLock);
+            server = app.listen(port, () => {
+                logger.info(`Pipeliner-Asana webhook server listening on port ${server.address().port}`, describe());
+                jobQueue.start().catch(error => logger.error('Failed to start job queue', { error }));
+                resolve(server);
+            });
+            server.on('error', reject);
+        });
+    }
+
+    // Stop processing jobs and close the server (jobs in progress finish in the background)
+    async function stop() {
+        jobQueue.stop();
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
+            server = null;
+        }
+        if (releaseLock) {
+            process.removeListener('exit', releaseLock);
+            releaseLock();
+            releaseLock = null;
+        }
+    }
+
+    return {
+        app,
+        config,
+        asana,
+        pipeliner,
+        jobQueue,
+        mappingStore,
+        activityTaskStore,
+        asanaWebhooks,
+        eventLog,
+        readiness,
+        processPipelinerEvent,
+        runReconcileCommand,
+        describe,
+        lockDataDir,
+        start,
+        stop
+    };
 }
 
-// Find project by opportunity ID (in production, use a database)
-async function findProjectByOpportunityId(opportunityId) {
-    // In production, query your database
-    // For now, return null (will create new project)
+// Several tenants from one deployment (TENANTS_PATH) - each tenant gets its own app from createApp, with its own
+// Asana client, stores, queue and webhook secret, mounted at /tenants/<id> (its /admin, /test and Asana webhooks live
+// there). Pipeliner webhooks are routed to a tenant by /webhook/pipeliner/<id> or by the space ID in the payload
+function createMultiTenantApp(config, tenants) {
+    const app = express();
+    const integrations = new Map(tenants.map(tenant => [tenant.id, createApp(tenantConfig(config, tenant))]));
+    
+    // The process is up
+    app.get('/health', (req, res) => {
+        res.json({ 
+            status: 'healthy', 
+            timestamp: new Date().toISOString(),
+            message: 'Webhook server is running!',
+            mode: 'Creates Asana Projects',
+            tenants: Array.from(integrations.keys())
+        });
+    });
+    
+    // Ready when every tenant is - each tenant's checks are listed under its ID
+    app.get('/ready', async (req, res) => {
+        const results = await Promise.all(Array.from(integrations, async ([id, integration]) => [id, await integration.readiness.check()]));
+        const ready = results.every(([, result]) => result.ready);
+        res.status(ready ? 200 : 503).json({ ready, tenants: Object.fromEntries(results) });
+    });
+    
+    // Prometheus metrics for every tenant (each series has a tenant label)
+    app.get('/metrics', async (req, res) => {
+        try {
+            res.type('text/plain; version=0.0.4').send(await metricsRegistry.render());
+        } catch (error) {
+            res.status(500).type('text/plain').send(`# ${error.message}\n`);
+        }
+    });
+    
+    app.use(createTenantRouter(integrations));
+    
+    let server = null;
+    let releaseLocks = [];
+    
+    function releaseAll() {
+        for (const release of releaseLocks) release();
+        releaseLocks = [];
+    }
+    
+    // Take every tenant's data directory, listen on the port and start every tenant's queue - resolves with the
+    // http.Server
+    function start(port = config.port) {
+        return new Promise((resolve, reject) => {
+            try {
+                for (const integration of integrations.values()) releaseLocks.push(integration.lockDataDir('server'));
+            } catch (error) {
+                releaseAll();
+                throw error;
+            }
+            process.once('exit', releaseAll);
+            server = app.listen(port, () => {
+                logger.info(`Pipeliner-Asana webhook server listening on port ${server.address().port}`, { tenants: Array.from(integrations.keys()) });
+                for (const [id, integration] of integrations) {
+                    runWithContext({ tenant: id }, () => {
+                        logger.info('Tenant started', integration.describe());
+                        integration.jobQueue.start().catch(error => logger.error('Failed to start job queue', { error }));
+                    });
+                }
+                resolve(server);
+            });
+            server.on('error', reject);
+        });
+    }
+    
+    async function stop() {
+        for (const integration of integrations.values()) integration.jobQueue.stop();
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
+            server = null;
+        }
+        process.removeListener('exit', releaseAll);
+        releaseAll();
+    }
     
-    // Example database query:
-    // const mapping = await db.mappings.findOne({ opportunityId });
-    // return mapping ? mapping.projectGid : null;
+    // node index.js reconcile [--tenant <id>] [...] - every tenant in turn unless one is named
+    async function runReconcileCommand(args) {
+        const option = args.findIndex(arg => arg === '--tenant' || arg.startsWith('--tenant='));
+        const only = option === -1 ? null : (args[option].split('=')[1] || args[option + 1] || '');
+        if (only !== null && !integrations.has(only)) {
+            throw new Error(`Unknown tenant "${only}" (expected ${Array.from(integrations.keys()).join(', ')})`);
+        }
+        
+        let code = 0;
+        for (const [id, integration] of integrations) {
+            if (only !== null && id !== only) continue;
+            console.log(`\n### Tenant ${id}`);
+            code = Math.max(code, await runWithContext({ tenant: id }, () => integration.runReconcileCommand(args)));
+        }
+        return code;
+    }
     
-    return null;
+    return {
+        app,
+        config,
+        integrations,
+        runReconcileCommand,
+        start,
+        stop
+    };
 }
 
-// Test endpoint - simulates a Pipeliner webhook
-app.post('/test', async (req, res) => {
-    console.log('Test endpoint called');
+// Load the environment, check the config, then start the server (or run the reconcile command)
+function main() {
+    require('dotenv').config();
+    const config = loadConfig();
+    configureLogger(config.logging);
     
-    // Sample test data - simplified to match the 5 fields
-    const testData = {
-        entity: 'Opportunity',
-        action: 'create',
-        data: {
-            id: `test-${Date.now()}`,
-            name: 'Test Project Name',
-            accountName: 'Test Client Company',
-            value: 125000,
-            jobNumber: 'JOB-2025-001',
-            intranetJobUrl: 'https://intranet.grantek.com/job/2025-001'
+    let tenants = null;
+    if (config.tenants.path) {
+        try {
+            tenants = loadTenants(config.tenants.path);
+        } catch (error) {
+            logger.error(`Config: ${error.message}`);
+            process.exit(1);
         }
-    };
+    }
     
-    // Process the test webhook
-    try {
-        await handleNewOpportunity(testData.data);
-        res.json({ 
-            success: true, 
-            message: 'Test completed! Check Asana for the new project.',
-            testData: testData,
-            asanaUrl: 'Check your Asana workspace for the new project'
-        });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Start the server
-app.listen(config.port, () => {
-    console.log('');
-    console.log('========================================');
-    console.log('🚀 Pipeliner-Asana Webhook Server Started');
-    console.log('========================================');
-    console.log(`📍 Server running on port ${config.port}`);
-    console.log('🏗️  Mode: Creates Asana PROJECTS');
-    console.log('');
-    console.log('Endpoints available:');
-    console.log(`  📥 Webhook: POST /webhook/pipeliner`);
-    console.log(`  💚 Health:  GET  /health`);
-    console.log(`  🧪 Test:    POST /test`);
-    console.log('');
-    console.log('Configuration status:');
-    console.log(`  Asana Token: ${config.asana.accessToken ? '✓ Set' : '✗ Not set'}`);
-    console.log(`  Workspace ID: ${config.asana.workspaceId ? '✓ Set' : '✗ Not set'}`);
-    console.log(`  Team ID: ${config.asana.teamId ? '✓ Set' : '✗ Not set'}`);
-    console.log('');
-    console.log('Project Creation Settings:');
-    console.log('  • Creates new project for each opportunity');
-    console.log('  • Adds standard project sections');
-    console.log('  • Creates initial task templates');
-    console.log('  • Colors projects by value');
-    console.log('');
-    console.log('Waiting for webhooks from Pipeliner...');
-    console.log('========================================');
-    console.log('');
-});
-
-// Handle server shutdown gracefully
-process.on('SIGINT', () => {
-    console.log('\n👋 Shutting down webhook server...');
-    process.exit(0);
-});
+    // Refuse to start with a broken configuration - every problem is listed, not just the first
+    const configCheck = tenants
+        ? validateTenantConfigs(tenants.map(tenant => tenantConfig(config, tenant)))
+        : validateConfig(config);
+    for (const warning of configCheck.warnings) {
+        logger.warn(`Config: ${warning}`);
+    }
+    if (configCheck.errors.length > 0) {
+        for (const error of configCheck.errors) {
+            logger.error(`Config: ${error}`);
+        }
+        logger.error(`Not starting - ${configCheck.errors.length} configuration error(s)`);
+        process.exit(1);
+    }
+    
+    const integration = tenants ? createMultiTenantApp(config, tenants) : createApp(config);
+    
+    if (process.argv[2] === 'reconcile') {
+        // Command line mode - no server, no background queue
+        integration.runReconcileCommand(process.argv.slice(3))
+            .then(code => process.exit(code))
+            .catch(error => {
+                logger.error('Reconcile failed', { error });
+                process.exit(1);
+            });
+        return;
+    }
+    
+    integration.start().catch(error => {
+        logger.error('Failed to start server', { error });
+        process.exit(1);
+    });
+    
+    // Handle server shutdown gracefully
+    process.on('SIGINT', () => {
+        logger.info('Shutting down webhook server');
+        process.exit(0);
+    });
+}
+
+// Started directly (node index.js) - when required, e.g. by the tests, nothing runs until createApp/start
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    loadConfig,
+    createApp,
+    createMultiTenantApp
+};
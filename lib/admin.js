@@ -0,0 +1,375 @@
+// /admin area - JSON endpoints plus simple server-rendered pages for the same data
+// Browsers get HTML (they ask for text/html), everything else gets JSON from the same URLs
+
+const express = require('express');
+
+const EVENT_STATUSES = ['queued', 'processing', 'retrying', 'done', 'failed', 'duplicate', 'rejected', 'dry-run'];
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function wantsHtml(req) {
+    return req.accepts(['json', 'html']) === 'html';
+}
+
+// Form posts come from our own pages - anything else is answered with JSON
+function isFormPost(req) {
+    return req.is('application/x-www-form-urlencoded');
+}
+
+function hasKeyHeader(req) {
+    return Boolean(req.get('x-admin-key')) || /^Bearer\s/i.test(req.get('authorization') || '');
+}
+
+// Browsers send the Basic auth credentials with cross-site requests too, whatever the body, so writes must come from
+// our own pages - unless they carry the key in a header, which another site can't make a browser add
+function isSameOrigin(req) {
+    const origin = req.get('origin') || req.get('referer');
+    if (!origin) return false;
+    try {
+        return new URL(origin).host === req.get('host');
+    } catch (_error) {
+        return false;
+    }
+}
+
+function formatTime(iso) {
+    return iso ? escapeHtml(iso.replace('T', ' ').replace(/\.\d+Z$/, 'Z')) : '';
+}
+
+function asanaProjectLink(projectGid) {
+    return `<a href="https://app.asana.com/0/${encodeURIComponent(projectGid)}/list" target="_blank" rel="noopener">${escapeHtml(projectGid)}</a>`;
+}
+
+// Links are relative to the admin root (baseUrl), which is /tenants/<id>/admin when running with tenants
+function page(baseUrl, title, body, notice) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<base href="${escapeHtml(baseUrl)}/">
+<title>${escapeHtml(title)} - Pipeliner → Asana admin</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 0; color: #1e1f21; }
+header { background: #1e1f21; color: #fff; padding: 12px 24px; }
+header a { color: #fff; margin-right: 16px; text-decoration: none; }
+main { padding: 16px 24px; }
+table { border-collapse: collapse; width: 100%; font-size: 14px; }
+th, td { border-bottom: 1px solid #e0e0e0; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: #f6f8f9; }
+form.inline { display: inline; }
+input, select, button { font: inherit; padding: 2px 6px; }
+.status { border-radius: 4px; padding: 1px 6px; background: #e0e0e0; }
+.status-done, .status-completed { background: #c8f0d4; }
+.status-failed, .status-rejected { background: #ffd1d1; }
+.status-retrying, .status-processing, .status-queued { background: #fff1c2; }
+.notice { background: #e8f4fd; padding: 8px 12px; margin-bottom: 12px; }
+.error { color: #b00020; }
+pre { background: #f6f8f9; padding: 12px; overflow: auto; }
+</style>
+</head>
+<body>
+<header><strong>Pipeliner → Asana</strong> &nbsp; <a href="./">Dashboard</a><a href="events">Events</a><a href="mappings">Mappings</a><a href="jobs/failed">Failed jobs</a></header>
+<main>
+${notice ? `<div class="notice">${escapeHtml(notice)}</div>` : ''}
+<h1>${escapeHtml(title)}</h1>
+${body}
+</main>
+</body>
+</html>`;
+}
+
+function statusBadge(status) {
+    return `<span class="status status-${escapeHtml(status)}">${escapeHtml(status)}</span>`;
+}
+
+function eventsTable(events) {
+    if (events.length === 0) return '<p>No events.</p>';
+    const rows = events.map(event => `<tr>
+<td><a href="events/${encodeURIComponent(event.id)}">${formatTime(event.receivedAt)}</a></td>
+<td>${escapeHtml(event.source)}</td>
+<td>${escapeHtml(event.entity)} ${escapeHtml(event.action)}</td>
+<td>${escapeHtml(event.recordId)}${event.name ? `<br>${escapeHtml(event.name)}` : ''}</td>
+<td>${statusBadge(event.status)}${event.attempts ? ` (attempt ${escapeHtml(event.attempts)})` : ''}</td>
+<td>${event.jobId ? escapeHtml(event.jobId) : ''}</td>
+<td class="error">${escapeHtml(event.error || (event.problems || []).join('; '))}</td>
+</tr>`).join('\n');
+    return `<table><tr><th>Received</th><th>Source</th><th>Event</th><th>Record</th><th>Status</th><th>Job</th><th>Error</th></tr>${rows}</table>`;
+}
+
+function failedJobsTable(jobs) {
+    if (jobs.length === 0) return '<p>No failed jobs.</p>';
+    const rows = jobs.map(job => `<tr>
+<td>${escapeHtml(job.id)}</td>
+<td>${escapeHtml(job.type)}</td>
+<td>${escapeHtml(job.groupKey)}</td>
+<td>${escapeHtml(job.attempts)}</td>
+<td>${formatTime(job.failedAt)}</td>
+<td class="error">${escapeHtml(job.lastError)}</td>
+<td><form class="inline" method="post" action="jobs/${encodeURIComponent(job.id)}/replay"><button>Replay</button></form></td>
+</tr>`).join('\n');
+    return `<table><tr><th>Job</th><th>Type</th><th>Record</th><th>Attempts</th><th>Failed</th><th>Error</th><th></th></tr>${rows}</table>`;
+}
+
+function mappingsTable(mappings) {
+    if (mappings.length === 0) return '<p>No mappings.</p>';
+    const rows = mappings.map(mapping => {
+        const id = encodeURIComponent(mapping.opportunityId);
+        return `<tr>
+<td>${escapeHtml(mapping.opportunityId)}</td>
+<td>${escapeHtml(mapping.snapshot?.name)}${mapping.snapshot?.jobNumber ? ` [${escapeHtml(mapping.snapshot.jobNumber)}]` : ''}</td>
+<td>${asanaProjectLink(mapping.projectGid)}</td>
+<td>${formatTime(mapping.updatedAt)}</td>
+<td>
+<form class="inline" method="post" action="mappings/${id}"><input name="projectGid" placeholder="New project GID" size="18" required><label><input type="checkbox" name="resync" value="true" checked> resync</label> <button>Relink</button></form>
+<form class="inline" method="post" action="mappings/${id}/resync"><button>Resync</button></form>
+<form class="inline" method="post" action="mappings/${id}/delete" onsubmit="return confirm('Delete this mapping? The Asana project is not touched.')"><button>Delete</button></form>
+</td>
+</tr>`;
+    }).join('\n');
+    return `<table><tr><th>Opportunity</th><th>Name</th><th>Project</th><th>Updated</th><th></th></tr>${rows}</table>`;
+}
+
+// Mappings whose opportunity ID, project GID, name, job number or account contain the query
+function matchesMapping(mapping, query) {
+    if (!query) return true;
+    const q = String(query).toLowerCase();
+    const snapshot = mapping.snapshot || {};
+    return [mapping.opportunityId, mapping.projectGid, snapshot.name, snapshot.jobNumber, snapshot.accountName]
+        .some(value => value && String(value).toLowerCase().includes(q));
+}
+
+// Create the router - actions are the app's own handlers (relink a mapping, resync an opportunity)
+function createAdminRouter({ adminAuth, jobQueue, mappingStore, eventLog, actions }) {
+    const router = express.Router();
+    router.use(adminAuth);
+    router.use(express.urlencoded({ extended: false }));
+
+    router.use((req, res, next) => {
+        if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method) && !hasKeyHeader(req) && !isSameOrigin(req)) {
+            return res.status(403).json({ success: false, error: 'Cross-site requests are not allowed' });
+        }
+        next();
+    });
+
+    // After a form post, go back to the page it came from
+    function redirectBack(req, res, notice) {
+        const target = new URL(req.get('referer') || `${req.baseUrl}/`, `http://${req.get('host')}`);
+        target.searchParams.set('notice', notice);
+        res.redirect(303, `${target.pathname}${target.search}`);
+    }
+
+    function sendError(req, res, status, message) {
+        if (isFormPost(req)) return redirectBack(req, res, `Error: ${message}`);
+        res.status(status).json({ success: false, error: message });
+    }
+
+    // Dashboard - queue counts, recent events and failures
+    router.get('/', async (req, res) => {
+        try {
+            const [queue, events, failedJobs] = await Promise.all([jobQueue.stats(), eventLog.list(), jobQueue.list({ status: 'failed' })]);
+            const eventCounts = events.reduce((counts, event) => {
+                counts[event.status] = (counts[event.status] || 0) + 1;
+                return counts;
+            }, {});
+
+            if (!wantsHtml(req)) {
+                return res.json({ success: true, queue, events: eventCounts, failedJobs: failedJobs.length });
+            }
+
+            const countList = entries => Object.entries(entries).map(([status, count]) => `${statusBadge(status)} ${count}`).join(' &nbsp; ') || 'none';
+            res.send(page(req.baseUrl, 'Dashboard', `
+<p><strong>Queue:</strong> ${countList(queue)}</p>
+<p><strong>Recent events:</strong> ${countList(eventCounts)}</p>
+<h2>Failed jobs</h2>
+${failedJobsTable(failedJobs.slice(0, 10))}
+<h2>Latest events</h2>
+${eventsTable(events.slice(0, 20))}
+<p><a href="events">All events →</a></p>`, req.query.notice));
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Recent webhook events, newest first - filter by status, entity or text
+    router.get('/events', async (req, res) => {
+        try {
+            const { status, entity, q } = req.query;
+            const limit = Math.min(Number(req.query.limit) || 100, 500);
+            const events = await eventLog.list({ status, entity, q, limit });
+
+            if (!wantsHtml(req)) {
+                return res.json({ success: true, count: events.length, events });
+            }
+
+            const options = ['', ...EVENT_STATUSES]
+                .map(value => `<option value="${value}"${value === status ? ' selected' : ''}>${value || 'any status'}</option>`)
+                .join('');
+            res.send(page(req.baseUrl, 'Events', `
+<form method="get">
+<select name="status">${options}</select>
+<input name="entity" placeholder="Entity" value="${escapeHtml(entity)}">
+<input name="q" placeholder="Record ID, name, job or error" value="${escapeHtml(q)}" size="30">
+<button>Filter</button>
+</form>
+<p>${events.length} event(s)</p>
+${eventsTable(events)}`, req.query.notice));
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/events/:id', async (req, res) => {
+        try {
+            const event = await eventLog.get(req.params.id);
+            if (!event) return res.status(404).json({ success: false, error: `Event ${req.params.id} not found` });
+
+            if (!wantsHtml(req)) return res.json({ success: true, event });
+
+            const job = event.jobId ? await jobQueue.get(event.jobId) : null;
+            res.send(page(req.baseUrl, `Event ${event.id}`, `
+${eventsTable([event])}
+${job?.status === 'failed' ? `<p>The job failed: ${failedJobsTable([job])}</p>` : ''}
+<h2>Payload</h2>
+<pre>${escapeHtml(JSON.stringify(event.payload, null, 2))}</pre>`));
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Opportunity ↔ project mappings - search, relink, resync, delete
+    router.get('/mappings', async (req, res) => {
+        try {
+            const mappings = (await mappingStore.list())
+                .filter(mapping => matchesMapping(mapping, req.query.q))
+                .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+
+            if (!wantsHtml(req)) {
+                return res.json({ success: true, count: mappings.length, mappings });
+            }
+
+            res.send(page(req.baseUrl, 'Mappings', `
+<form method="get">
+<input name="q" placeholder="Opportunity, project, name, job number or account" value="${escapeHtml(req.query.q)}" size="45">
+<button>Search</button>
+</form>
+<h2>Link an opportunity by hand</h2>
+<form method="post" action="mappings">
+<input name="opportunityId" placeholder="Opportunity ID" required>
+<input name="projectGid" placeholder="Asana project GID" required>
+<label><input type="checkbox" name="resync" value="true" checked> resync now</label>
+<button>Link</button>
+</form>
+<p>${mappings.length} mapping(s)</p>
+${mappingsTable(mappings.slice(0, 200))}`, req.query.notice));
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/mappings/:opportunityId', async (req, res) => {
+        try {
+            const mapping = await mappingStore.get(req.params.opportunityId);
+            if (!mapping) return res.status(404).json({ success: false, error: `No mapping for opportunity ${req.params.opportunityId}` });
+            res.json({ success: true, mapping });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Create or relink a mapping, optionally resyncing the opportunity into the project
+    async function saveMapping(req, res, opportunityId) {
+        const projectGid = String(req.body.projectGid || '').trim();
+        if (!opportunityId || !/^\d+$/.test(projectGid)) {
+            return sendError(req, res, 400, 'An opportunity ID and a numeric Asana project GID are required');
+        }
+
+        try {
+            const mapping = await actions.relink(opportunityId, projectGid);
+            const resync = req.body.resync === true || req.body.resync === 'true';
+            const job = resync ? await actions.resync(opportunityId) : null;
+
+            if (isFormPost(req)) {
+                return redirectBack(req, res, `Opportunity ${opportunityId} linked to project ${projectGid}${job ? ', resync queued' : ''}`);
+            }
+            res.json({ success: true, mapping, jobId: job?.id || null });
+        } catch (error) {
+            sendError(req, res, 500, error.message);
+        }
+    }
+
+    router.post('/mappings', (req, res) => saveMapping(req, res, String(req.body.opportunityId || '').trim()));
+    router.put('/mappings/:opportunityId', (req, res) => saveMapping(req, res, req.params.opportunityId));
+    router.post('/mappings/:opportunityId', (req, res) => saveMapping(req, res, req.params.opportunityId));
+
+    // Re-run the update for an opportunity (from its last snapshot) through the queue
+    router.post('/mappings/:opportunityId/resync', async (req, res) => {
+        try {
+            const job = await actions.resync(req.params.opportunityId);
+            if (!job) return sendError(req, res, 404, `No mapping for opportunity ${req.params.opportunityId}`);
+            if (isFormPost(req)) return redirectBack(req, res, `Resync of opportunity ${req.params.opportunityId} queued`);
+            res.json({ success: true, jobId: job.id });
+        } catch (error) {
+            sendError(req, res, 500, error.message);
+        }
+    });
+
+    // Forget a mapping - the Asana project is left alone
+    async function deleteMapping(req, res) {
+        try {
+            const removed = await mappingStore.remove(req.params.opportunityId);
+            if (!removed) return sendError(req, res, 404, `No mapping for opportunity ${req.params.opportunityId}`);
+            if (isFormPost(req)) return redirectBack(req, res, `Mapping for opportunity ${req.params.opportunityId} deleted`);
+            res.json({ success: true });
+        } catch (error) {
+            sendError(req, res, 500, error.message);
+        }
+    }
+
+    router.delete('/mappings/:opportunityId', deleteMapping);
+    router.post('/mappings/:opportunityId/delete', deleteMapping);
+
+    // Jobs that ran out of retries
+    router.get('/jobs/failed', async (req, res) => {
+        try {
+            const jobs = await jobQueue.list({ status: 'failed' });
+            if (!wantsHtml(req)) {
+                return res.json({ success: true, count: jobs.length, jobs });
+            }
+            res.send(page(req.baseUrl, 'Failed jobs', `<p>${jobs.length} job(s) ran out of retries.</p>${failedJobsTable(jobs)}`, req.query.notice));
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Queue overview
+    router.get('/jobs', async (req, res) => {
+        try {
+            const [stats, jobs] = await Promise.all([jobQueue.stats(), jobQueue.list()]);
+            res.json({ success: true, stats, jobs });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Put a failed job back in the queue
+    router.post('/jobs/:id/replay', async (req, res) => {
+        try {
+            const job = await jobQueue.replay(req.params.id);
+            if (!job) return sendError(req, res, 404, `Job ${req.params.id} not found`);
+            if (isFormPost(req)) return redirectBack(req, res, `Job ${req.params.id} queued for replay`);
+            res.json({ success: true, message: 'Job queued for replay', job });
+        } catch (error) {
+            sendError(req, res, 409, error.message);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
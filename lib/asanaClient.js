@@ -0,0 +1,194 @@
+// Asana API client - auth, rate limiting, pagination and typed errors in one place
+
+const axios = require('axios');
+const { dryRunResponse } = require('./dryRun');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+// Base class for every error coming back from the Asana API
+class AsanaError extends Error {
+    constructor(message, { status = null, method, path, errors = [], retryable = false, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.method = method;
+        this.path = path;
+        this.errors = errors;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+class AsanaRateLimitError extends AsanaError {}
+class AsanaAuthError extends AsanaError {}
+class AsanaNotFoundError extends AsanaError {}
+class AsanaValidationError extends AsanaError {}
+class AsanaServerError extends AsanaError {}
+class AsanaNetworkError extends AsanaError {}
+
+// Turn an axios error into the matching AsanaError
+function toAsanaError(error, method, path) {
+    const response = error.response;
+    if (!response) {
+        return new AsanaNetworkError(`Asana ${method} ${path} failed: ${error.message}`, {
+            method, path, retryable: true
+        });
+    }
+
+    const status = response.status;
+    const errors = response.data?.errors || [];
+    const detail = errors.map(e => e.message).filter(Boolean).join('; ') || response.statusText || 'Unknown error';
+    const message = `Asana ${method} ${path} failed (${status}): ${detail}`;
+    const details = { status, method, path, errors };
+
+    if (status === 429) {
+        const retryAfter = Number(response.headers?.['retry-after']);
+        return new AsanaRateLimitError(message, {
+            ...details,
+            retryable: true,
+            retryAfterMs: Number.isNaN(retryAfter) ? null : retryAfter * 1000
+        });
+    }
+    if (status === 401 || status === 403) return new AsanaAuthError(message, details);
+    if (status === 404) return new AsanaNotFoundError(message, details);
+    if (status >= 500) return new AsanaServerError(message, { ...details, retryable: true });
+    return new AsanaValidationError(message, details);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Create a client
+// maxConcurrent limits requests in flight, requestsPerMinute spaces out request starts
+function createAsanaClient({
+    accessToken,
+    baseUrl = 'https://app.asana.com/api/1.0',
+    maxConcurrent = 4,
+    requestsPerMinute = 150,
+    timeoutMs = 30000,
+    logRequests = true,
+    tenant = '' // Metrics label
+} = {}) {
+    const http = axios.create({
+        baseURL: baseUrl.replace(/\/+$/, ''),
+        timeout: timeoutMs,
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+        }
+    });
+
+    const minIntervalMs = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+    let active = 0;
+    let nextStartAt = 0;
+    let cooldownUntil = 0;
+    const waiting = [];
+
+    // Wait for a free concurrency slot, then for our turn in the rate limit
+    async function acquire() {
+        if (active >= maxConcurrent) {
+            await new Promise(resolve => waiting.push(resolve));
+        }
+        active++;
+
+        const now = Date.now();
+        const startAt = Math.max(now, nextStartAt, cooldownUntil);
+        nextStartAt = startAt + minIntervalMs;
+        if (startAt > now) await sleep(startAt - now);
+    }
+
+    function release() {
+        active--;
+        const next = waiting.shift();
+        if (next) next();
+    }
+
+    // Log the call and count it in the metrics - status is null for network errors
+    function recordRequest(method, path, status, startedAt) {
+        const durationMs = Date.now() - startedAt;
+        metrics.apiRequests.inc({ tenant, service: 'asana', method, status: status || 'network_error' });
+        metrics.apiRequestDuration.observe({ tenant, service: 'asana', method }, durationMs / 1000);
+        if (!logRequests) return;
+
+        const fields = { service: 'asana', method, path, status, durationMs };
+        if (status && status < 400) {
+            logger.info(`Asana ${method} ${path} → ${status}`, fields);
+        } else {
+            logger.warn(`Asana ${method} ${path} → ${status || 'network error'}`, fields);
+        }
+    }
+
+    // Make a request and return the unwrapped response body ({ data, next_page })
+    async function send(method, path, { data, params } = {}) {
+        // Dry run: writes are recorded instead of sent (reads too when there is no token)
+        const planned = dryRunResponse('asana', method, path, data, { offline: !accessToken });
+        if (planned) {
+            if (logRequests) logger.info(`Asana ${method} ${path} → dry run`, { service: 'asana', method, path, dryRun: true });
+            return planned;
+        }
+
+        await acquire();
+        const startedAt = Date.now();
+
+        try {
+            const response = await http.request({
+                method,
+                url: path,
+                params,
+                data: data === undefined ? undefined : { data }
+            });
+            recordRequest(method, path, response.status, startedAt);
+            return response.data || {};
+        } catch (error) {
+            const asanaError = toAsanaError(error, method, path);
+            if (asanaError instanceof AsanaRateLimitError) {
+                // Hold back every request until Asana says we can go again
+                cooldownUntil = Date.now() + (asanaError.retryAfterMs === null ? 60000 : asanaError.retryAfterMs);
+            }
+            recordRequest(method, path, asanaError.status, startedAt);
+            throw asanaError;
+        } finally {
+            release();
+        }
+    }
+
+    async function request(method, path, options) {
+        const body = await send(method, path, options);
+        return body.data;
+    }
+
+    // Fetch every page of a list endpoint by following next_page.offset
+    async function getAll(path, params = {}) {
+        const results = [];
+        let offset;
+
+        do {
+            const body = await send('GET', path, { params: { limit: 100, ...params, offset } });
+            results.push(...(body.data || []));
+            offset = body.next_page ? body.next_page.offset : undefined;
+        } while (offset);
+
+        return results;
+    }
+
+    return {
+        isConfigured: Boolean(accessToken),
+        baseUrl,
+        request,
+        getAll,
+        get: (path, params) => request('GET', path, { params }),
+        post: (path, data, params) => request('POST', path, { data, params }),
+        put: (path, data, params) => request('PUT', path, { data, params }),
+        delete: (path) => request('DELETE', path)
+    };
+}
+
+module.exports = {
+    createAsanaClient,
+    AsanaError,
+    AsanaRateLimitError,
+    AsanaAuthError,
+    AsanaNotFoundError,
+    AsanaValidationError,
+    AsanaServerError,
+    AsanaNetworkError
+};
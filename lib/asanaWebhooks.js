@@ -0,0 +1,105 @@
+// Asana webhook subscriptions - one per project we create
+// Handles the X-Hook-Secret handshake and verifies X-Hook-Signature on every delivery
+
+const path = require('path');
+const { createKeyValueStore } = require('./keyValueStore');
+const { isValidSignature } = require('./auth');
+const { logger } = require('./logger');
+
+// Only task completion changes are needed for syncing back to Pipeliner
+const WEBHOOK_FILTERS = [
+    { resource_type: 'task', action: 'changed', fields: ['completed'] }
+];
+
+function createAsanaWebhookManager({ asana, driver = 'json', dataDir = './data', publicUrl }) {
+    const store = createKeyValueStore({
+        driver,
+        filePath: path.join(dataDir, 'asana-webhooks.json')
+    });
+    // Projects we are registering right now - only these may complete a handshake
+    const pending = new Set();
+
+    function targetUrl(projectGid) {
+        return `${String(publicUrl).replace(/\/+$/, '')}/webhook/asana?project=${encodeURIComponent(projectGid)}`;
+    }
+
+    // Subscribe to a project's task changes (does nothing if already subscribed)
+    async function registerProject(projectGid) {
+        const existing = await store.get(projectGid);
+        if (existing?.webhookGid) return existing;
+
+        if (!publicUrl) {
+            logger.warn('No PUBLIC_URL configured, Asana webhook not registered', { projectGid });
+            return null;
+        }
+
+        pending.add(projectGid);
+        try {
+            // Asana calls our endpoint with the handshake before this request returns
+            const webhook = await asana.post('/webhooks', {
+                resource: projectGid,
+                target: targetUrl(projectGid),
+                filters: WEBHOOK_FILTERS
+            });
+
+            const handshake = await store.get(projectGid);
+            const record = await store.set(projectGid, {
+                ...handshake,
+                projectGid,
+                webhookGid: webhook.gid,
+                createdAt: new Date().toISOString()
+            });
+            logger.info('Registered Asana webhook', { projectGid, webhookGid: webhook.gid });
+            return record;
+        } finally {
+            pending.delete(projectGid);
+        }
+    }
+
+    // Remove the subscription for a project
+    async function unregisterProject(projectGid) {
+        const existing = await store.get(projectGid);
+        if (!existing) return false;
+
+        if (existing.webhookGid) {
+            await asana.delete(`/webhooks/${existing.webhookGid}`);
+        }
+        await store.delete(projectGid);
+        logger.info('Removed Asana webhook', { projectGid });
+        return true;
+    }
+
+    // Store the secret from the handshake - only accepted while we are registering that project
+    async function acceptHandshake(projectGid, secret) {
+        if (!projectGid || !secret || !pending.has(projectGid)) return false;
+
+        await store.set(projectGid, {
+            projectGid,
+            secret,
+            handshakeAt: new Date().toISOString()
+        });
+        return true;
+    }
+
+    // Check X-Hook-Signature against the secret Asana gave us for this project
+    async function verifySignature(projectGid, rawBody, signature) {
+        if (!projectGid) return false;
+        const record = await store.get(projectGid);
+        return Boolean(record?.secret) && isValidSignature(rawBody, signature, record.secret);
+    }
+
+    async function list() {
+        const entries = await store.entries();
+        return entries.map(([, record]) => ({ ...record, secret: undefined }));
+    }
+
+    return {
+        registerProject,
+        unregisterProject,
+        acceptHandshake,
+        verifySignature,
+        list
+    };
+}
+
+module.exports = { createAsanaWebhookManager };
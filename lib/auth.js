@@ -0,0 +1,101 @@
+// Authentication for incoming webhooks and admin endpoints
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// express.json() verify hook - keeps the exact bytes so signatures can be checked
+function captureRawBody(req, _res, buf) {
+    req.rawBody = Buffer.from(buf);
+}
+
+// Constant-time string comparison (lengths are compared first, which is fine for secrets)
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Check an HMAC-SHA256 signature header against the raw body
+// Accepts hex or base64 digests, with or without a "sha256=" prefix
+function isValidSignature(rawBody, signature, secret) {
+    if (!signature || !secret || !rawBody) return false;
+
+    const provided = String(signature).trim().replace(/^sha256=/i, '');
+    const hmac = crypto.createHmac('sha256', secret).update(rawBody).digest();
+
+    return safeEqual(provided, hmac.toString('hex')) || safeEqual(provided, hmac.toString('base64'));
+}
+
+// Pull a shared secret from "Authorization: Bearer <secret>" or "X-Webhook-Secret: <secret>"
+function getSharedSecret(req) {
+    const authorization = req.get('authorization') || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+    return req.get('x-webhook-secret') || null;
+}
+
+// Password from "Authorization: Basic ..." - lets a browser log in to the admin pages (any user name)
+function getBasicPassword(req) {
+    const authorization = req.get('authorization') || '';
+    const match = authorization.match(/^Basic\s+(.+)$/i);
+    if (!match) return null;
+    const decoded = Buffer.from(match[1].trim(), 'base64').toString('utf8');
+    return decoded.includes(':') ? decoded.slice(decoded.indexOf(':') + 1) : null;
+}
+
+function logRejected(req, reason) {
+    logger.warn(`Rejected ${req.method} ${req.originalUrl}`, { ip: req.ip, reason });
+}
+
+// Middleware that only lets signed or shared-secret authenticated webhooks through
+function requireWebhookAuth({ signingSecret, signatureHeader = 'x-pipeliner-signature', sharedSecret } = {}) {
+    return (req, res, next) => {
+        if (!signingSecret && !sharedSecret) {
+            logRejected(req, 'no webhook secret configured');
+            return res.status(401).json({ success: false, error: 'Webhook authentication is not configured' });
+        }
+
+        const signature = req.get(signatureHeader);
+        if (signingSecret && signature) {
+            if (isValidSignature(req.rawBody, signature, signingSecret)) return next();
+            logRejected(req, 'invalid signature');
+            return res.status(401).json({ success: false, error: 'Invalid webhook signature' });
+        }
+
+        const providedSecret = getSharedSecret(req);
+        if (sharedSecret && providedSecret) {
+            if (safeEqual(providedSecret, sharedSecret)) return next();
+            logRejected(req, 'invalid shared secret');
+            return res.status(401).json({ success: false, error: 'Invalid webhook secret' });
+        }
+
+        logRejected(req, 'missing signature or secret');
+        return res.status(401).json({ success: false, error: 'Missing webhook signature or secret' });
+    };
+}
+
+// Middleware for admin-only endpoints - disabled entirely when no admin key is configured
+// The key is sent as X-Admin-Key, a Bearer token, or the password of a browser's Basic auth prompt
+function requireAdminKey(adminKey) {
+    return (req, res, next) => {
+        if (!adminKey) {
+            return res.status(404).json({ success: false, error: 'Not found' });
+        }
+
+        const providedKey = req.get('x-admin-key') || getSharedSecret(req) || getBasicPassword(req);
+        if (providedKey && safeEqual(providedKey, adminKey)) return next();
+
+        logRejected(req, 'invalid admin key');
+        if (req.accepts(['json', 'html']) === 'html') {
+            res.set('WWW-Authenticate', 'Basic realm="Pipeliner-Asana admin", charset="UTF-8"');
+        }
+        return res.status(401).json({ success: false, error: 'Invalid admin key' });
+    };
+}
+
+module.exports = {
+    captureRawBody,
+    isValidSignature,
+    requireWebhookAuth,
+    requireAdminKey
+};
@@ -0,0 +1,53 @@
+// Which Asana task completions are pushed back to Pipeliner, and how
+
+const fs = require('fs');
+
+// Load the completion sync config (a missing file means nothing is pushed back)
+//   tasks:             [{ "task": "PO Received", "set": { "jobStatus": "PO Received" } }]
+//   fieldNames:        internal field name -> Pipeliner API field name, e.g. { "jobStatus": "cf_job_status" }
+//   activityCompleted: { "entity": "Tasks", "fields": { ... } } - API fields set when an activity's task is completed
+function loadCompletionSync(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return { tasks: [], fieldNames: {}, activityCompleted: null };
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const tasks = parsed?.tasks || [];
+    const problems = [];
+
+    tasks.forEach((rule, index) => {
+        const label = rule.task || `#${index + 1}`;
+        if (!rule.task) problems.push(`rule ${label} has no task name`);
+        if (!rule.set || Object.keys(rule.set).length === 0) problems.push(`rule ${label} has no fields to set`);
+    });
+
+    const activityCompleted = parsed?.activityCompleted || null;
+    if (activityCompleted && (!activityCompleted.entity || !activityCompleted.fields)) {
+        problems.push('activityCompleted needs an entity and fields');
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid completion sync config in ${filePath}: ${problems.join('; ')}`);
+    }
+
+    return { tasks, fieldNames: parsed.fieldNames || {}, activityCompleted };
+}
+
+// The Pipeliner update for a completed task, or null if the task isn't synced
+// Returns the internal field values (for loop suppression) and the API payload
+function opportunityUpdateForTask({ tasks, fieldNames }, taskName) {
+    const rule = tasks.find(r => r.task.toLowerCase() === String(taskName).toLowerCase());
+    if (!rule) return null;
+
+    const apiFields = {};
+    for (const [field, value] of Object.entries(rule.set)) {
+        apiFields[fieldNames[field] || field] = value;
+    }
+
+    return { fields: rule.set, apiFields };
+}
+
+module.exports = {
+    loadCompletionSync,
+    opportunityUpdateForTask
+};
@@ -0,0 +1,26 @@
+// Per-request context that follows a webhook through every async call
+// Carries the tenant and correlation ID for the logs, and the dry-run flag, so deep code (API clients, stores) can tell
+// without threading them through
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Run fn with this context - anything it awaits sees the same context
+function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+function getContext() {
+    return storage.getStore() || null;
+}
+
+function isDryRun() {
+    return Boolean(getContext()?.dryRun);
+}
+
+module.exports = {
+    runWithContext,
+    getContext,
+    isDryRun
+};
@@ -0,0 +1,141 @@
+// Pipeliner field -> Asana custom field mapping
+// Keeps the numbers, dates and enums on the project where Asana can sort, filter and report on them
+
+const fs = require('fs');
+const { createTtlCache } = require('./ttlCache');
+const { logger } = require('./logger');
+
+const FIELD_TYPES = ['number', 'enum', 'date', 'text'];
+
+// Load and validate the mapping file (a missing file just means no custom fields)
+function loadFieldMappings(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const fields = parsed?.fields || [];
+    const problems = [];
+
+    fields.forEach((mapping, index) => {
+        const label = mapping.field || `#${index + 1}`;
+        if (!mapping.field) problems.push(`mapping ${label} has no Pipeliner field`);
+        if (!mapping.gid) problems.push(`mapping ${label} has no Asana custom field gid`);
+        if (!FIELD_TYPES.includes(mapping.type)) problems.push(`mapping ${label} has an invalid type "${mapping.type}" (expected ${FIELD_TYPES.join(', ')})`);
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid custom field mappings in ${filePath}: ${problems.join('; ')}`);
+    }
+
+    return fields;
+}
+
+// Create the sync for a set of field mappings
+function createCustomFieldSync({ asana, mappings, cacheTtlMs = 10 * 60 * 1000 }) {
+    const definitions = createTtlCache({ ttlMs: cacheTtlMs });
+
+    // Custom field definition (with enum options), cached since they rarely change
+    function getDefinition(gid) {
+        return definitions.wrap(gid, () => asana.get(`/custom_fields/${gid}`, {
+            opt_fields: 'name,resource_subtype,enum_options.name,enum_options.enabled'
+        }));
+    }
+
+    // Convert one Pipeliner value to what Asana expects for the field type
+    // Returns { value } or { problem }
+    async function convert(mapping, raw) {
+        if (raw === null || raw === '') return { value: null };
+
+        switch (mapping.type) {
+            case 'number': {
+                const number = typeof raw === 'number' ? raw : Number(String(raw).replace(/[,\s$€£]/g, ''));
+                if (Number.isNaN(number)) return { problem: `"${raw}" is not a number` };
+                return { value: number };
+            }
+            case 'date': {
+                const date = new Date(raw);
+                if (Number.isNaN(date.getTime())) return { problem: `"${raw}" is not a date` };
+                return { value: { date: date.toISOString().split('T')[0] } };
+            }
+            case 'enum': {
+                const name = mapping.options?.[raw] || raw;
+                const definition = await getDefinition(mapping.gid);
+                const options = (definition.enum_options || []).filter(o => o.enabled !== false);
+                const option = options.find(o => o.name.toLowerCase() === String(name).toLowerCase());
+                if (!option) {
+                    return {
+                        problem: `no enum option "${name}" on custom field "${definition.name}" (available: ${options.map(o => o.name).join(', ') || 'none'})`
+                    };
+                }
+                return { value: option.gid };
+            }
+            default:
+                return { value: String(raw) };
+        }
+    }
+
+    // Build the custom_fields payload - fields missing from the payload are left alone
+    async function buildValues(data) {
+        const values = {};
+        const problems = [];
+
+        for (const mapping of mappings) {
+            const raw = data[mapping.field];
+            if (raw === undefined) continue;
+
+            const result = await convert(mapping, raw);
+            if (result.problem) {
+                problems.push(`${mapping.field} → ${mapping.gid}: ${result.problem}`);
+            } else {
+                values[mapping.gid] = result.value;
+            }
+        }
+
+        return { values, problems };
+    }
+
+    // Make sure every mapped custom field is on the project
+    async function attachToProject(projectGid) {
+        const settings = await asana.getAll(`/projects/${projectGid}/custom_field_settings`, { opt_fields: 'custom_field.gid' });
+        const attached = settings.map(s => s.custom_field.gid);
+
+        for (const mapping of mappings) {
+            if (attached.includes(mapping.gid)) continue;
+            await asana.post(`/projects/${projectGid}/addCustomFieldSetting`, {
+                custom_field: mapping.gid,
+                is_important: true
+            });
+            logger.info('Added custom field to project', { projectGid, customFieldGid: mapping.gid, field: mapping.field });
+        }
+    }
+
+    // Attach the fields and write the current values to the project
+    // Values that can't be converted are reported and skipped rather than failing the sync
+    async function syncProject(projectGid, data) {
+        if (mappings.length === 0) return { values: {}, problems: [] };
+
+        await attachToProject(projectGid);
+        const { values, problems } = await buildValues(data);
+
+        for (const problem of problems) {
+            logger.warn(`Custom field not synced - ${problem}`, { projectGid });
+        }
+
+        if (Object.keys(values).length > 0) {
+            await asana.put(`/projects/${projectGid}`, { custom_fields: values });
+            logger.info(`Synced ${Object.keys(values).length} custom field(s)`, { projectGid });
+        }
+
+        return { values, problems };
+    }
+
+    return {
+        buildValues,
+        attachToProject,
+        syncProject
+    };
+}
+
+module.exports = {
+    loadFieldMappings,
+    createCustomFieldSync
+};
@@ -0,0 +1,59 @@
+// Data directory lock - the json stores keep their records in memory and rewrite the whole file on every change, so
+// two processes writing to the same DATA_DIR overwrite each other's changes. The server holds the lock while it runs,
+// and the reconcile command refuses to make changes while anyone else does
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_FILE = 'server.lock';
+
+// Lock files held by this process
+const held = new Set();
+
+// The process holding the lock, or null - a lock left behind by a process that has exited doesn't count
+function lockHolder(lockPath) {
+    let lock;
+    try {
+        lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+        throw error;
+    }
+
+    if (held.has(lockPath)) return lock;
+    // Our own PID in a lock we don't hold is a previous run's (containers often reuse the same PID)
+    if (!lock.pid || lock.pid === process.pid) return null;
+    try {
+        process.kill(lock.pid, 0);
+    } catch (error) {
+        if (error.code === 'ESRCH') return null;
+    }
+    return lock;
+}
+
+// Take the lock on a data directory for a command ('server' or 'reconcile') - returns the function that releases
+// it, or throws if another process (or another part of this one) holds it
+function acquireDataDirLock(dataDir, command) {
+    const lockPath = path.resolve(dataDir, LOCK_FILE);
+    const holder = lockHolder(lockPath);
+    if (holder) {
+        throw new Error(`${dataDir} is in use by the ${holder.command || 'server'} (process ${holder.pid}, since ${holder.startedAt}) - stop it first`);
+    }
+
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, command, startedAt: new Date().toISOString() }));
+    held.add(lockPath);
+
+    return function release() {
+        if (!held.delete(lockPath)) return;
+        try {
+            fs.unlinkSync(lockPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    };
+}
+
+module.exports = {
+    acquireDataDirLock
+};
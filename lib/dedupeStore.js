@@ -0,0 +1,88 @@
+// Duplicate delivery protection for Pipeliner webhooks
+// Pipeliner Automatizer retries deliveries, so each one is fingerprinted and remembered for a while
+
+const crypto = require('crypto');
+const path = require('path');
+const { createKeyValueStore } = require('./keyValueStore');
+
+// JSON with the keys sorted, so the same payload always hashes the same
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// Fingerprint a webhook delivery
+// Uses the event ID when Pipeliner sends one, otherwise hashes what identifies the change - the record's modified
+// time, or without one the whole record, so two different changes to a record are never taken for the same delivery
+function fingerprintDelivery(body = {}) {
+    const eventId = body.eventId || body.event_id;
+    if (eventId) {
+        return `event:${eventId}`;
+    }
+
+    const data = body.data || {};
+    const modified = data.modified || data.modifiedAt || data.updatedAt || data.updated_at;
+    const identity = [body.entity, body.action, data.id]
+        .map(part => String(part === undefined || part === null ? '' : part).toLowerCase())
+        .concat(modified ? String(modified).toLowerCase() : stableStringify(data))
+        .join('|');
+
+    return `hash:${crypto.createHash('sha256').update(identity).digest('hex')}`;
+}
+
+// Create the dedupe store - keys expire after ttlMs
+function createDedupeStore({ driver = 'json', dataDir = './data', ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+    const store = createKeyValueStore({
+        driver,
+        filePath: path.join(dataDir, 'deliveries.json')
+    });
+    const inFlight = new Set();
+
+    // Drop expired keys so the store doesn't grow forever - in one write
+    async function prune(now) {
+        const entries = await store.entries();
+        const expired = entries.filter(([, record]) => record.expiresAt <= now).map(([key]) => key);
+        if (expired.length > 0) await store.deleteMany(expired);
+    }
+
+    // Record a delivery - returns false if it was already seen (a duplicate)
+    async function claim(key) {
+        if (inFlight.has(key)) return false;
+        inFlight.add(key);
+
+        try {
+            const now = Date.now();
+            const existing = await store.get(key);
+            if (existing && existing.expiresAt > now) {
+                return false;
+            }
+
+            await prune(now);
+            await store.set(key, {
+                firstSeenAt: new Date(now).toISOString(),
+                expiresAt: now + ttlMs
+            });
+            return true;
+        } finally {
+            inFlight.delete(key);
+        }
+    }
+
+    // Forget a delivery (e.g. processing failed, so a retry should go through)
+    async function release(key) {
+        return store.delete(key);
+    }
+
+    return {
+        claim,
+        release
+    };
+}
+
+module.exports = {
+    fingerprintDelivery,
+    createDedupeStore
+};
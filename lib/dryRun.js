@@ -0,0 +1,131 @@
+// Dry-run mode - the whole pipeline runs, but every Asana/Pipeliner write is recorded instead of sent
+// Reads of records we "created" are answered from the recorded plan, so later steps still find them
+
+const { getContext } = require('./context');
+
+const PLANNED_GID_PREFIX = 'dry-run-';
+
+// Context for one dry run - operations is the plan, overlays hold store changes (see keyValueStore)
+function createDryRunContext() {
+    // Keeps the surrounding context (e.g. the correlation ID)
+    return { ...getContext(), dryRun: true, operations: [], overlays: new Map(), sequence: 0 };
+}
+
+function hasPlannedGid(path) {
+    return path.split('/').some(segment => segment.startsWith(PLANNED_GID_PREFIX));
+}
+
+// Record a write and answer with a response body shaped like the API's
+function planWrite(context, service, method, path, data) {
+    const nextGid = () => `${PLANNED_GID_PREFIX}${++context.sequence}`;
+    const segments = path.split('/').filter(Boolean);
+    let result;
+
+    if (method === 'POST' && /\/(duplicate|instantiateProject)$/.test(path)) {
+        // Template copies are jobs - report them as already finished
+        result = { gid: nextGid(), resource_type: 'job', status: 'succeeded', new_project: { gid: nextGid(), name: data?.name } };
+    } else if (method === 'POST') {
+        result = { gid: nextGid(), ...data };
+    } else {
+        result = { gid: segments[segments.length - 1], ...data };
+    }
+
+    context.operations.push({ service, method, path, data: data === undefined ? null : data, result });
+    return { data: result };
+}
+
+// Answer a read from the plan - a list of what was created under the path, or one planned record
+function planRead(context, service, path) {
+    const operations = context.operations.filter(op => op.service === service);
+    const segments = path.split('/').filter(Boolean);
+    const last = segments[segments.length - 1];
+
+    if (last.startsWith(PLANNED_GID_PREFIX)) {
+        const record = { gid: last };
+        for (const op of operations) {
+            if (op.result.gid === last) Object.assign(record, op.result);
+            if (op.result.new_project?.gid === last) Object.assign(record, op.result.new_project);
+        }
+        return { data: record };
+    }
+
+    const created = operations.filter(op => op.method === 'POST' && op.path === path).map(op => op.result);
+
+    // Tasks are created with POST /tasks and listed per project
+    const projectTasks = /^\/projects\/([^/]+)\/tasks$/.exec(path);
+    if (projectTasks) {
+        created.push(...operations
+            .filter(op => op.method === 'POST' && op.path === '/tasks' && (op.data?.projects || []).includes(projectTasks[1]))
+            .map(op => op.result));
+    }
+
+    return { data: created };
+}
+
+// The dry-run answer for a request, or null when it should really be sent
+// Writes are always planned; reads only when they refer to planned records, or when the service isn't configured
+function dryRunResponse(service, method, path, data, { offline = false } = {}) {
+    const context = getContext();
+    if (!context?.dryRun) return null;
+    if (method !== 'GET') return planWrite(context, service, method, path, data);
+    if (offline || hasPlannedGid(path)) return planRead(context, service, path);
+    return null;
+}
+
+// Group the recorded operations into what a reviewer wants to see
+function summarizePlan(operations) {
+    const plan = { project: null, sections: [], tasks: [], customFields: [], updates: [], pipeliner: [], notifications: [] };
+    const sectionNames = new Map();
+
+    for (const { service, method, path, data, result } of operations) {
+        if (service === 'notify') {
+            plan.notifications.push({ channel: path, ...data });
+            continue;
+        }
+        if (service !== 'asana') {
+            plan.pipeliner.push({ method, path, data });
+            continue;
+        }
+
+        const templatePath = /^\/(?:projects|project_templates)\/([^/]+)\/(?:duplicate|instantiateProject)$/.exec(path);
+        const sectionPath = /^\/projects\/([^/]+)\/sections$/.exec(path);
+        const subtaskPath = /^\/tasks\/([^/]+)\/subtasks$/.exec(path);
+        const customFieldPath = /^\/projects\/([^/]+)\/addCustomFieldSetting$/.exec(path);
+        const projectPath = /^\/projects\/([^/]+)$/.exec(path);
+
+        if (method === 'POST' && path === '/projects') {
+            plan.project = { gid: result.gid, ...data };
+        } else if (method === 'POST' && templatePath) {
+            plan.project = { gid: result.new_project.gid, template: templatePath[1], ...data };
+        } else if (method === 'POST' && sectionPath) {
+            sectionNames.set(result.gid, data.name);
+            plan.sections.push({ gid: result.gid, project: sectionPath[1], name: data.name });
+        } else if (method === 'POST' && (path === '/tasks' || subtaskPath)) {
+            const { memberships, name, ...rest } = data;
+            const section = memberships?.[0]?.section;
+            plan.tasks.push({
+                gid: result.gid,
+                name,
+                section: section ? (sectionNames.get(section) || section) : null,
+                parent: subtaskPath ? subtaskPath[1] : null,
+                ...rest
+            });
+        } else if (method === 'POST' && customFieldPath) {
+            plan.customFields.push({ project: customFieldPath[1], attach: data.custom_field });
+        } else if (method === 'PUT' && projectPath && data?.custom_fields) {
+            const { custom_fields: values, ...rest } = data;
+            plan.customFields.push({ project: projectPath[1], values });
+            if (Object.keys(rest).length > 0) plan.updates.push({ method, path, data: rest });
+        } else {
+            plan.updates.push({ method, path, data });
+        }
+    }
+
+    return plan;
+}
+
+module.exports = {
+    createDryRunContext,
+    dryRunResponse,
+    summarizePlan
+};
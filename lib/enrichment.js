@@ -0,0 +1,82 @@
+// Pipeliner enrichment - webhooks only carry a few fields, so the rest is read from the Pipeliner API
+// The full opportunity, its account, primary contact, owner and sales step are merged into the webhook data
+
+const { createTtlCache } = require('./ttlCache');
+const { normalizeData } = require('./normalize');
+const { logger } = require('./logger');
+
+function personName(record) {
+    if (!record) return undefined;
+    const full = [record.first_name, record.last_name].filter(Boolean).join(' ');
+    return full || record.name || undefined;
+}
+
+// Only keep values that are actually set, so they can't blank out webhook fields
+function definedOnly(values) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+// Create the enricher - a burst of updates for one opportunity reuses lookups for cacheTtlMs
+function createOpportunityEnricher({ pipeliner, aliases = {}, cacheTtlMs = 30 * 1000 }) {
+    const cache = createTtlCache({ ttlMs: cacheTtlMs });
+
+    // Fetch one entity, or null when there's no ID or it can't be read
+    async function lookup(entity, id) {
+        if (!id) return null;
+        try {
+            return await cache.wrap(`${entity}:${id}`, () => pipeliner.getEntity(entity, id));
+        } catch (error) {
+            logger.warn(`Pipeliner ${entity} ${id} not loaded`, { error });
+            return null;
+        }
+    }
+
+    // Fields from the Pipeliner API, in the internal model
+    async function fetchOpportunityDetails(id) {
+        const opportunity = await lookup('Opportunities', id);
+        if (!opportunity) return {};
+
+        const model = normalizeData('Opportunity', opportunity, aliases).data;
+        const [account, contact, owner, step] = await Promise.all([
+            lookup('Accounts', model.accountId),
+            lookup('Contacts', model.contactId),
+            lookup('Clients', model.ownerId),
+            model.stage ? null : lookup('Steps', opportunity.step_id)
+        ]);
+
+        return definedOnly({
+            ...model,
+            stage: model.stage || step?.name,
+            accountName: account?.name,
+            accountPhone: account?.phone1 || account?.phone,
+            accountCity: account?.address?.city || account?.city,
+            contactName: personName(contact),
+            contactEmail: contact?.email1 || contact?.email,
+            contactPhone: contact?.phone1 || contact?.phone,
+            ownerName: personName(owner),
+            ownerEmail: owner?.email
+        });
+    }
+
+    // Webhook data wins (it describes this exact change), the API fills in everything it left out
+    // Pass the raw API record when it's already loaded (e.g. from a list) to skip fetching it again
+    async function enrichOpportunity(data, { record } = {}) {
+        if (!pipeliner.isConfigured || !data?.id) return data;
+        if (record) cache.set(`Opportunities:${data.id}`, record);
+
+        const details = await fetchOpportunityDetails(data.id);
+        const enriched = { ...details, ...definedOnly(data) };
+        const added = Object.keys(enriched).filter(key => data[key] === undefined || data[key] === null || data[key] === '');
+        if (added.length > 0) {
+            logger.info('Enriched from Pipeliner', { opportunityId: data.id, fields: added });
+        }
+        return enriched;
+    }
+
+    return {
+        enrichOpportunity,
+        clear: () => cache.clear()
+    };
+}
+
+module.exports = { createOpportunityEnricher };
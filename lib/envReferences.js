@@ -0,0 +1,18 @@
+// "${NAME}" references in config files, filled in from the environment so secrets can stay out of the files
+
+// Copy of value with every "${NAME}" in its strings replaced - names that aren't set are added to missing
+function resolveEnvReferences(value, env = process.env, missing = new Set()) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{(\w+)\}/g, (_match, name) => {
+            if (env[name] === undefined) missing.add(name);
+            return env[name] === undefined ? '' : env[name];
+        });
+    }
+    if (Array.isArray(value)) return value.map(item => resolveEnvReferences(item, env, missing));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveEnvReferences(item, env, missing)]));
+    }
+    return value;
+}
+
+module.exports = { resolveEnvReferences };
@@ -0,0 +1,71 @@
+// Recent webhook events and what happened to each one (shown in the /admin dashboard)
+// Only the newest maxEntries events are kept
+
+const crypto = require('crypto');
+const path = require('path');
+const { createKeyValueStore } = require('./keyValueStore');
+
+function createEventLog({ driver = 'json', dataDir = './data', maxEntries = 500 } = {}) {
+    const store = createKeyValueStore({
+        driver,
+        filePath: path.join(dataDir, 'events.json')
+    });
+    let sequence = 0;
+
+    async function list({ status, entity, q, limit } = {}) {
+        const entries = await store.entries();
+        const query = q ? String(q).toLowerCase() : null;
+
+        const events = entries
+            .map(([, event]) => event)
+            .filter(event => !status || event.status === status)
+            .filter(event => !entity || String(event.entity).toLowerCase() === String(entity).toLowerCase())
+            .filter(event => !query || [event.recordId, event.name, event.jobId, event.error]
+                .some(value => value && String(value).toLowerCase().includes(query)))
+            .sort((a, b) => b.id.localeCompare(a.id));
+
+        return limit ? events.slice(0, limit) : events;
+    }
+
+    // Add an event, dropping the oldest once there are more than maxEntries
+    async function record(fields) {
+        const now = new Date().toISOString();
+        const event = {
+            // Sortable, like job IDs
+            id: `${Date.now()}-${String(sequence++ % 1000000).padStart(6, '0')}-${crypto.randomBytes(3).toString('hex')}`,
+            receivedAt: now,
+            updatedAt: now,
+            ...fields
+        };
+        await store.set(event.id, event);
+
+        const events = await list();
+        if (events.length > maxEntries) {
+            await store.deleteMany(events.slice(maxEntries).map(old => old.id));
+        }
+        return event;
+    }
+
+    async function update(id, fields) {
+        const existing = await store.get(id);
+        if (!existing) return null;
+        return store.set(id, { ...existing, ...fields, updatedAt: new Date().toISOString() });
+    }
+
+    // Update the event that queued a job (a no-op for jobs without one)
+    async function updateByJobId(jobId, fields) {
+        const entries = await store.entries();
+        const match = entries.find(([, event]) => event.jobId === jobId);
+        return match ? update(match[0], fields) : null;
+    }
+
+    return {
+        record,
+        update,
+        updateByJobId,
+        get: id => store.get(id),
+        list
+    };
+}
+
+module.exports = { createEventLog };
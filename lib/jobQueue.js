@@ -0,0 +1,300 @@
+// Persistent job queue with retries, exponential backoff and a dead-letter list
+// Webhooks are acknowledged straight away and the Asana work happens here
+
+const crypto = require('crypto');
+const path = require('path');
+const { createKeyValueStore } = require('./keyValueStore');
+const { runWithContext } = require('./context');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+// Errors worth retrying: network failures, rate limits and server errors
+function isRetryable(error) {
+    if (error.retryable !== undefined) return error.retryable;
+    const status = error.status || error.response?.status;
+    if (!status) return true;
+    return status === 429 || status >= 500;
+}
+
+// Delay requested by the server via Retry-After (seconds or an HTTP date), in ms
+function getRetryAfterMs(error) {
+    if (typeof error.retryAfterMs === 'number') return error.retryAfterMs;
+
+    const headers = error.response?.headers || {};
+    const retryAfter = headers['retry-after'];
+    if (retryAfter === undefined || retryAfter === null) return null;
+
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function createJobQueue({
+    driver = 'json',
+    dataDir = './data',
+    maxAttempts = 8,
+    baseDelayMs = 5000,
+    maxDelayMs = 15 * 60 * 1000,
+    pollIntervalMs = 1000,
+    tenant = '' // Added to every job's log context and metrics
+} = {}) {
+    const store = createKeyValueStore({
+        driver,
+        filePath: path.join(dataDir, 'jobs.json')
+    });
+    const handlers = {};
+    const listeners = [];
+    let notifyChain = Promise.resolve();
+    let timer = null;
+    let running = false;
+    let started = false;
+    let sequence = 0;
+
+    // Register the function that processes jobs of a given type
+    function register(type, handler) {
+        handlers[type] = handler;
+    }
+
+    // Be told when a job starts, completes, is retried, fails or is replayed - listener(job, status, error)
+    function onUpdate(listener) {
+        listeners.push(listener);
+    }
+
+    // Listeners are only observers, so their failures never affect the job
+    // Notifications are chained so listeners see each job's updates in order
+    function notify(job, status, error = null) {
+        for (const listener of listeners) {
+            notifyChain = notifyChain
+                .then(() => listener(job, status, error))
+                .catch(listenerError => logger.error('Job listener error', { jobId: job.id, error: listenerError }));
+        }
+    }
+
+    // Add a job - jobs sharing a groupKey run strictly in order
+    // correlationId ties the job's logs back to the webhook that queued it
+    async function enqueue(type, payload, { groupKey = null, correlationId = null } = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            // Sortable: jobs created in the same millisecond keep their enqueue order
+            id: `${Date.now()}-${String(sequence++ % 1000000).padStart(6, '0')}-${crypto.randomBytes(3).toString('hex')}`,
+            type,
+            payload,
+            groupKey,
+            correlationId,
+            status: 'pending',
+            attempts: 0,
+            createdAt: now,
+            updatedAt: now,
+            nextRunAt: Date.now(),
+            lastError: null
+        };
+        await store.set(job.id, job);
+        schedule(0);
+        return job;
+    }
+
+    async function list({ status } = {}) {
+        const entries = await store.entries();
+        return entries
+            .map(([, job]) => job)
+            .filter(job => !status || job.status === status)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+    }
+
+    async function get(id) {
+        return store.get(id);
+    }
+
+    // Number of jobs in each state
+    async function stats() {
+        const jobs = await list();
+        return jobs.reduce((counts, job) => {
+            counts[job.status] = (counts[job.status] || 0) + 1;
+            return counts;
+        }, { pending: 0, processing: 0, failed: 0 });
+    }
+
+    // Put a dead-lettered job back in the queue with a fresh set of attempts
+    async function replay(id) {
+        const job = await store.get(id);
+        if (!job) return null;
+        if (job.status !== 'failed') {
+            throw new Error(`Job ${id} is ${job.status}, only failed jobs can be replayed`);
+        }
+
+        const replayed = await store.set(id, {
+            ...job,
+            status: 'pending',
+            attempts: 0,
+            nextRunAt: Date.now(),
+            updatedAt: new Date().toISOString(),
+            replayedAt: new Date().toISOString()
+        });
+        notify(replayed, 'replayed');
+        schedule(0);
+        return replayed;
+    }
+
+    // Next job that is due and not waiting behind an earlier job in its group
+    // A dead-lettered job holds up its group too, until it's replayed - later changes to a record mustn't run before
+    // the one that failed (e.g. updates ahead of the create)
+    async function nextDueJob() {
+        const jobs = await list();
+        const now = Date.now();
+        const blockedGroups = new Set();
+
+        for (const job of jobs) {
+            const blocked = job.groupKey && blockedGroups.has(job.groupKey);
+            if (job.groupKey) blockedGroups.add(job.groupKey);
+            if (!blocked && job.status === 'pending' && job.nextRunAt <= now) {
+                return job;
+            }
+        }
+        return null;
+    }
+
+    function backoffDelay(attempts, error) {
+        const retryAfterMs = getRetryAfterMs(error);
+        if (retryAfterMs !== null) return retryAfterMs;
+
+        const exponential = baseDelayMs * 2 ** (attempts - 1);
+        const jitter = Math.random() * baseDelayMs;
+        return Math.min(maxDelayMs, exponential + jitter);
+    }
+
+    // The handler runs with the job's correlation ID (and tenant) in context, so everything it logs carries it
+    function runJob(job) {
+        return runWithContext({ correlationId: job.correlationId || job.id, jobId: job.id, tenant }, () => processJob(job));
+    }
+
+    async function processJob(job) {
+        const handler = handlers[job.type];
+        const attempts = job.attempts + 1;
+        const startedAt = Date.now();
+        const observe = outcome => metrics.jobDuration.observe({ tenant, type: job.type, outcome }, (Date.now() - startedAt) / 1000);
+        await store.set(job.id, { ...job, status: 'processing', attempts, updatedAt: new Date().toISOString() });
+        notify({ ...job, attempts }, 'processing');
+
+        try {
+            if (!handler) {
+                const error = new Error(`No handler registered for job type ${job.type}`);
+                error.retryable = false;
+                throw error;
+            }
+            await handler(job.payload, job);
+            await store.delete(job.id);
+            observe('completed');
+            logger.info(`Job ${job.type} completed`, { jobId: job.id, attempts });
+            notify({ ...job, attempts }, 'completed');
+        } catch (error) {
+            const message = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+
+            // Not a failure - the job is waiting for something (e.g. an Asana template copy) and runs again after
+            // retryAfterMs, without using up an attempt. The queue carries on with other jobs meanwhile
+            if (error.waiting) {
+                const delay = getRetryAfterMs(error) || pollIntervalMs;
+                await store.set(job.id, {
+                    ...job,
+                    status: 'pending',
+                    nextRunAt: Date.now() + delay,
+                    updatedAt: new Date().toISOString()
+                });
+                observe('waiting');
+                logger.info(`Job ${job.type} waiting, next check in ${Math.round(delay / 1000)}s`, { jobId: job.id, reason: message });
+                notify(job, 'waiting');
+                return;
+            }
+
+            if (!isRetryable(error) || attempts >= maxAttempts) {
+                await store.set(job.id, {
+                    ...job,
+                    status: 'failed',
+                    attempts,
+                    lastError: message,
+                    failedAt: new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                });
+                observe('failed');
+                logger.error(`Job ${job.type} moved to dead-letter list after ${attempts} attempt(s)`, { jobId: job.id, attempts, error: message });
+                notify({ ...job, attempts }, 'failed', message);
+                return;
+            }
+
+            const delay = backoffDelay(attempts, error);
+            await store.set(job.id, {
+                ...job,
+                status: 'pending',
+                attempts,
+                lastError: message,
+                nextRunAt: Date.now() + delay,
+                updatedAt: new Date().toISOString()
+            });
+            observe('retrying');
+            logger.warn(`Job ${job.type} failed (attempt ${attempts}/${maxAttempts}), retrying in ${Math.round(delay / 1000)}s`, { jobId: job.id, attempts, error: message });
+            notify({ ...job, attempts }, 'retrying', message);
+        }
+    }
+
+    // Process due jobs one at a time, then sleep until the next poll
+    async function tick() {
+        timer = null;
+        if (running || !started) return;
+        running = true;
+
+        try {
+            let job = await nextDueJob();
+            while (job && started) {
+                await runJob(job);
+                job = await nextDueJob();
+            }
+        } catch (error) {
+            logger.error('Job queue error', { error });
+        } finally {
+            running = false;
+            schedule(pollIntervalMs);
+        }
+    }
+
+    function schedule(delay) {
+        if (!started || running) return;
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(tick, delay);
+        timer.unref();
+    }
+
+    // Start processing - jobs interrupted by a restart go back to pending
+    async function start() {
+        const jobs = await list({ status: 'processing' });
+        for (const job of jobs) {
+            await store.set(job.id, { ...job, status: 'pending', nextRunAt: Date.now() });
+        }
+        started = true;
+        schedule(0);
+    }
+
+    function stop() {
+        started = false;
+        if (timer) clearTimeout(timer);
+        timer = null;
+    }
+
+    return {
+        register,
+        onUpdate,
+        enqueue,
+        list,
+        get,
+        stats,
+        replay,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    createJobQueue,
+    isRetryable,
+    getRetryAfterMs
+};
@@ -0,0 +1,172 @@
+// Simple key/value stores used for mappings and other sync state
+// Two drivers are available: 'json' (persisted to a file) and 'memory' (for tests)
+
+const fs = require('fs');
+const path = require('path');
+const { getContext } = require('./context');
+
+// Create a store for the given driver
+function createKeyValueStore({ driver = 'json', filePath } = {}) {
+    if (driver === 'memory') {
+        return withDryRunOverlay(createMemoryStore());
+    }
+    if (driver === 'json') {
+        if (!filePath) {
+            throw new Error('A filePath is required for the json store driver');
+        }
+        return withDryRunOverlay(createJsonFileStore(filePath));
+    }
+    throw new Error(`Unknown store driver: ${driver}`);
+}
+
+// In-memory store - nothing survives a restart
+function createMemoryStore(initial = {}) {
+    const records = new Map(Object.entries(initial));
+
+    return {
+        driver: 'memory',
+        async get(key) {
+            return records.has(key) ? records.get(key) : null;
+        },
+        async set(key, value) {
+            records.set(key, value);
+            return value;
+        },
+        async delete(key) {
+            return records.delete(key);
+        },
+        async deleteMany(keys) {
+            return keys.filter(key => records.delete(key)).length;
+        },
+        async entries() {
+            return Array.from(records.entries());
+        }
+    };
+}
+
+// JSON file store - loads the file once and rewrites it after every change
+function createJsonFileStore(filePath) {
+    let records = null;
+    let loading = null;
+    let writeChain = Promise.resolve();
+
+    function load() {
+        if (!loading) {
+            loading = readRecords().then((loaded) => {
+                records = loaded;
+                return records;
+            });
+        }
+        return loading;
+    }
+
+    async function readRecords() {
+        try {
+            const contents = await fs.promises.readFile(filePath, 'utf8');
+            return new Map(Object.entries(JSON.parse(contents)));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return new Map();
+        }
+    }
+
+    // Writes are chained so concurrent changes never interleave,
+    // and go through a temp file so a crash can't leave half-written JSON
+    function persist() {
+        const snapshot = JSON.stringify(Object.fromEntries(records), null, 2);
+        writeChain = writeChain.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, snapshot);
+            await fs.promises.rename(tempPath, filePath);
+        });
+        return writeChain;
+    }
+
+    return {
+        driver: 'json',
+        filePath,
+        async get(key) {
+            const all = await load();
+            return all.has(key) ? all.get(key) : null;
+        },
+        async set(key, value) {
+            const all = await load();
+            all.set(key, value);
+            await persist();
+            return value;
+        },
+        async delete(key) {
+            const all = await load();
+            const existed = all.delete(key);
+            if (existed) await persist();
+            return existed;
+        },
+        // Several keys with one write - resolves with how many existed
+        async deleteMany(keys) {
+            const all = await load();
+            const deleted = keys.filter(key => all.delete(key)).length;
+            if (deleted > 0) await persist();
+            return deleted;
+        },
+        async entries() {
+            const all = await load();
+            return Array.from(all.entries());
+        }
+    };
+}
+
+// In dry-run mode changes go to an overlay kept on the request context
+// The real records are still read, but never changed (null marks a deleted key)
+function withDryRunOverlay(store) {
+    function overlay() {
+        const context = getContext();
+        if (!context?.dryRun) return null;
+        if (!context.overlays.has(store)) context.overlays.set(store, new Map());
+        return context.overlays.get(store);
+    }
+
+    return {
+        ...store,
+        async get(key) {
+            const changes = overlay();
+            return changes?.has(key) ? changes.get(key) : store.get(key);
+        },
+        async set(key, value) {
+            const changes = overlay();
+            if (!changes) return store.set(key, value);
+            changes.set(key, value);
+            return value;
+        },
+        async delete(key) {
+            const changes = overlay();
+            if (!changes) return store.delete(key);
+            const existed = (changes.has(key) ? changes.get(key) : await store.get(key)) !== null;
+            changes.set(key, null);
+            return existed;
+        },
+        async deleteMany(keys) {
+            const changes = overlay();
+            if (!changes) return store.deleteMany(keys);
+            let deleted = 0;
+            for (const key of keys) {
+                if ((changes.has(key) ? changes.get(key) : await store.get(key)) !== null) deleted++;
+                changes.set(key, null);
+            }
+            return deleted;
+        },
+        async entries() {
+            const changes = overlay();
+            const entries = await store.entries();
+            if (!changes) return entries;
+            const merged = new Map([...entries, ...changes]);
+            return Array.from(merged.entries()).filter(([, value]) => value !== null);
+        }
+    };
+}
+
+module.exports = {
+    createKeyValueStore,
+    createMemoryStore,
+    createJsonFileStore
+};
@@ -0,0 +1,85 @@
+// Structured logger - one JSON object per line, with the request's tenant and correlation ID attached automatically
+// Sensitive fields (secrets, contact details, customer names) are redacted wherever they appear in the logged fields -
+// messages only ever carry IDs, so names go in fields like opportunityName
+
+const { getContext } = require('./context');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Always redacted - LOG_REDACT_FIELDS adds to these
+// name, description and subject cover the raw Pipeliner payload (opportunity, account and owner names, activities)
+const DEFAULT_REDACT_FIELDS = [
+    'password', 'secret', 'token', 'accessToken', 'authorization', 'apiKey', 'adminKey',
+    'email', 'ownerEmail', 'contactEmail', 'email1', 'phone', 'phone1', 'contactPhone', 'accountPhone',
+    'opportunityName', 'accountName', 'projectName', 'activitySubject', 'taskName',
+    'name', 'description', 'subject'
+];
+
+const settings = {
+    level: LEVELS.info,
+    format: 'json',
+    redact: new Set(DEFAULT_REDACT_FIELDS.map(field => field.toLowerCase()))
+};
+
+// Set the level, output format ('json' or 'pretty') and extra fields to redact
+function configureLogger({ level, format, redactFields = [] } = {}) {
+    if (level && LEVELS[level] === undefined) {
+        throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+    }
+    if (level) settings.level = LEVELS[level];
+    if (format) settings.format = format;
+    for (const field of redactFields) settings.redact.add(String(field).trim().toLowerCase());
+}
+
+// Copy of value with redacted fields replaced, and Errors turned into plain objects
+function redact(value, depth = 0) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, ...(value.status ? { status: value.status } : {}) };
+    }
+    if (value === null || typeof value !== 'object' || depth > 8) return value;
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = settings.redact.has(key.toLowerCase()) && item !== undefined && item !== null
+            ? '[redacted]'
+            : redact(item, depth + 1);
+    }
+    return copy;
+}
+
+function write(level, message, fields = {}) {
+    if (LEVELS[level] < settings.level) return;
+
+    const context = getContext();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...(context?.tenant ? { tenant: context.tenant } : {}),
+        ...(context?.correlationId ? { correlationId: context.correlationId } : {}),
+        ...redact(fields)
+    };
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    if (settings.format === 'pretty') {
+        const { time, level: entryLevel, msg, ...rest } = entry;
+        const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+        stream.write(`${time} ${entryLevel.toUpperCase().padEnd(5)} ${msg}${extra}\n`);
+    } else {
+        stream.write(`${JSON.stringify(entry)}\n`);
+    }
+}
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+module.exports = {
+    logger,
+    configureLogger,
+    redact
+};
@@ -0,0 +1,31 @@
+// Loop suppression for two-way sync
+// Changes we make ourselves are marked, so the webhook that echoes them back can be ignored
+
+const { createTtlCache } = require('./ttlCache');
+const { isDryRun } = require('./context');
+
+function createLoopGuard({ ttlMs = 10 * 60 * 1000 } = {}) {
+    const marks = createTtlCache({ ttlMs, maxEntries: 10000 });
+
+    // Remember that we just made this change (a dry run doesn't make it, so there's no echo to expect)
+    function mark(key) {
+        if (isDryRun()) return;
+        marks.set(key, true);
+    }
+
+    // Was this change ours? Each mark only suppresses one echo (a dry run only peeks)
+    function consume(key) {
+        if (!marks.get(key)) return false;
+        if (!isDryRun()) marks.delete(key);
+        return true;
+    }
+
+    return {
+        mark,
+        consume,
+        taskKey: (taskGid, completed) => `asana:task:${taskGid}:completed=${completed}`,
+        fieldKey: (opportunityId, field, value) => `pipeliner:opportunity:${opportunityId}:${field}=${value}`
+    };
+}
+
+module.exports = { createLoopGuard };
@@ -0,0 +1,75 @@
+// Opportunity -> Asana project mapping store
+// Records which Asana project was built for each Pipeliner opportunity
+
+const path = require('path');
+const { createKeyValueStore } = require('./keyValueStore');
+
+// Create the mapping store for the configured driver ('json' or 'memory')
+function createMappingStore({ driver = 'json', dataDir = './data' } = {}) {
+    const store = createKeyValueStore({
+        driver,
+        filePath: path.join(dataDir, 'mappings.json')
+    });
+
+    // Get the full mapping record for an opportunity (or null)
+    async function get(opportunityId) {
+        if (!opportunityId) return null;
+        return store.get(String(opportunityId));
+    }
+
+    // Create or update the mapping, keeping the original createdAt (details.createdAt sets it for a new mapping)
+    // details are extra fields kept with the mapping (e.g. the Asana job that built the project)
+    async function set(opportunityId, projectGid, details = {}) {
+        const existing = await get(opportunityId);
+        const now = new Date().toISOString();
+
+        return store.set(String(opportunityId), {
+            ...existing,
+            ...details,
+            opportunityId: String(opportunityId),
+            projectGid: String(projectGid),
+            createdAt: existing ? existing.createdAt : details.createdAt || now,
+            updatedAt: now
+        });
+    }
+
+    // Merge fields into an existing mapping (e.g. the last-seen opportunity snapshot) and mark it updated
+    async function update(opportunityId, fields = {}) {
+        const existing = await get(opportunityId);
+        if (!existing) return null;
+
+        return store.set(String(opportunityId), {
+            ...existing,
+            ...fields,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    // Reverse lookup - the mapping for an Asana project
+    async function findByProjectGid(projectGid) {
+        const entries = await store.entries();
+        const match = entries.find(([, mapping]) => mapping.projectGid === String(projectGid));
+        return match ? match[1] : null;
+    }
+
+    async function remove(opportunityId) {
+        return store.delete(String(opportunityId));
+    }
+
+    async function list() {
+        const entries = await store.entries();
+        return entries.map(([, mapping]) => mapping);
+    }
+
+    return {
+        driver: store.driver,
+        get,
+        set,
+        update,
+        findByProjectGid,
+        remove,
+        list
+    };
+}
+
+module.exports = { createMappingStore };
@@ -0,0 +1,172 @@
+// Prometheus metrics - counters, gauges and histograms served as text on /metrics
+// Hand-rolled to avoid a dependency; only what the integration needs
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, values, extra = {}) {
+    const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`)
+        .concat(Object.entries(extra).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`));
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function createRegistry() {
+    const metrics = [];
+
+    // Series are keyed by their label values, in labelNames order
+    function seriesKey(labelNames, labels = {}) {
+        return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+    }
+
+    function counter({ name, help, labelNames = [] }) {
+        const series = new Map();
+        metrics.push({
+            name,
+            help,
+            type: 'counter',
+            lines: () => Array.from(series, ([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`)
+        });
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = seriesKey(labelNames, labels);
+                series.set(key, (series.get(key) || 0) + amount);
+            }
+        };
+    }
+
+    // collect (optional) runs before every scrape, e.g. to read the current queue depth
+    function gauge({ name, help, labelNames = [], collect }) {
+        const series = new Map();
+        const api = {
+            set(labels = {}, value = 0) {
+                series.set(seriesKey(labelNames, labels), value);
+            }
+        };
+        metrics.push({
+            name,
+            help,
+            type: 'gauge',
+            collect: collect ? () => collect(api) : null,
+            lines: () => Array.from(series, ([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`)
+        });
+        return api;
+    }
+
+    function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+        const series = new Map();
+        metrics.push({
+            name,
+            help,
+            type: 'histogram',
+            lines: () => {
+                const lines = [];
+                for (const [key, { counts, sum, count }] of series) {
+                    const values = JSON.parse(key);
+                    buckets.forEach((bucket, i) => {
+                        lines.push(`${name}_bucket${formatLabels(labelNames, values, { le: bucket })} ${counts[i]}`);
+                    });
+                    lines.push(`${name}_bucket${formatLabels(labelNames, values, { le: '+Inf' })} ${count}`);
+                    lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+                    lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+                }
+                return lines;
+            }
+        });
+        return {
+            observe(labels = {}, value) {
+                const key = seriesKey(labelNames, labels);
+                if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+                const entry = series.get(key);
+                buckets.forEach((bucket, i) => {
+                    if (value <= bucket) entry.counts[i]++;
+                });
+                entry.sum += value;
+                entry.count++;
+            }
+        };
+    }
+
+    // Text exposition format - a collector that fails is reported in the output rather than failing the scrape
+    async function render() {
+        const output = [];
+        for (const metric of metrics) {
+            if (metric.collect) {
+                try {
+                    await metric.collect();
+                } catch (error) {
+                    output.push(`# ${metric.name} not collected: ${error.message}`);
+                }
+            }
+            output.push(`# HELP ${metric.name} ${metric.help}`);
+            output.push(`# TYPE ${metric.name} ${metric.type}`);
+            output.push(...metric.lines());
+        }
+        return `${output.join('\n')}\n`;
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+// The integration's metrics
+const registry = createRegistry();
+
+const metrics = {
+    webhooksReceived: registry.counter({
+        name: 'pipeliner_asana_webhooks_received_total',
+        help: 'Webhooks received, by tenant, source, entity, action and outcome',
+        labelNames: ['tenant', 'source', 'entity', 'action', 'outcome']
+    }),
+    apiRequests: registry.counter({
+        name: 'pipeliner_asana_api_requests_total',
+        help: 'Requests to the Asana and Pipeliner APIs, by tenant, service, method and HTTP status',
+        labelNames: ['tenant', 'service', 'method', 'status']
+    }),
+    apiRequestDuration: registry.histogram({
+        name: 'pipeliner_asana_api_request_duration_seconds',
+        help: 'Asana and Pipeliner API request latency',
+        labelNames: ['tenant', 'service', 'method']
+    }),
+    jobDuration: registry.histogram({
+        name: 'pipeliner_asana_job_duration_seconds',
+        help: 'Time to process a queued job, by tenant, type and outcome',
+        labelNames: ['tenant', 'type', 'outcome']
+    }),
+    notifications: registry.counter({
+        name: 'pipeliner_asana_notifications_total',
+        help: 'Notifications, by tenant, event, channel and outcome (sent, failed, throttled or dry-run)',
+        labelNames: ['tenant', 'event', 'channel', 'outcome']
+    }),
+    queueJobs: null // Registered by registerQueueMetrics, since it reads from the queue
+};
+
+// Queue depth by tenant and job status, read from each tenant's queue on every scrape
+// Registering again for a tenant (e.g. another app built by the tests) switches its series to the new queue
+const metricsQueues = new Map();
+function registerQueueMetrics(jobQueue, tenant = '') {
+    metricsQueues.set(tenant, jobQueue);
+    if (metrics.queueJobs) return;
+    metrics.queueJobs = registry.gauge({
+        name: 'pipeliner_asana_queue_jobs',
+        help: 'Jobs in the queue, by tenant and status',
+        labelNames: ['tenant', 'status'],
+        collect: async gauge => {
+            for (const [queueTenant, queue] of metricsQueues) {
+                const stats = await queue.stats();
+                for (const [status, count] of Object.entries(stats)) gauge.set({ tenant: queueTenant, status }, count);
+            }
+        }
+    });
+}
+
+module.exports = {
+    createRegistry,
+    registry,
+    metrics,
+    registerQueueMetrics
+};
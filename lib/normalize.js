@@ -0,0 +1,238 @@
+// Pipeliner payload normalization and validation
+// Turns the webhook shapes we receive into one internal Opportunity/Activity model
+
+const fs = require('fs');
+
+// Raised when a payload can't be turned into a valid event - carries the list of problems
+class PayloadValidationError extends Error {
+    constructor(problems) {
+        super(`Invalid Pipeliner payload: ${problems.join('; ')}`);
+        this.name = 'PayloadValidationError';
+        this.problems = problems;
+        this.retryable = false;
+    }
+}
+
+const ENTITY_ALIASES = {
+    opportunity: 'Opportunity',
+    opportunities: 'Opportunity',
+    activity: 'Activity',
+    activities: 'Activity',
+    task: 'Activity',
+    tasks: 'Activity',
+    appointment: 'Activity',
+    appointments: 'Activity'
+};
+
+const ACTION_ALIASES = {
+    create: 'create', created: 'create', add: 'create', added: 'create', new: 'create', insert: 'create',
+    update: 'update', updated: 'update', change: 'update', changed: 'update', modify: 'update', modified: 'update',
+    delete: 'delete', deleted: 'delete', remove: 'delete', removed: 'delete',
+    complete: 'complete', completed: 'complete',
+    archive: 'archive', archived: 'archive',
+    restore: 'restore', restored: 'restore', unarchive: 'restore', unarchived: 'restore',
+    merge: 'merge', merged: 'merge'
+};
+
+// Internal model - each field lists where it can be found in the raw payload (dot paths)
+// Snake case and "cf_" custom field API names are tried automatically for every field
+const SCHEMA = {
+    Opportunity: {
+        id: { type: 'id', required: true, aliases: ['opportunityId', 'entity_id'] },
+        name: { type: 'string', aliases: ['opportunityName', 'title'] },
+        accountName: { type: 'string', aliases: ['account.name', 'primary_account.name', 'primaryAccount.name', 'company.name'] },
+        accountId: { type: 'id', aliases: ['account.id', 'primary_account.id', 'primary_account_id'] },
+        contactId: { type: 'id', aliases: ['contact.id', 'primary_contact.id', 'primary_contact_id'] },
+        value: { type: 'number', aliases: ['amount', 'value.base_value', 'value.value', 'opportunity_value'] },
+        probability: { type: 'percent', aliases: ['probability_percent', 'step.probability'] },
+        stage: { type: 'string', aliases: ['stage.name', 'step.name', 'stepName', 'stageName', 'step_name', 'sales_step.name'] },
+        pipeline: { type: 'string', aliases: ['pipeline.name', 'pipelineName'] },
+        closeDate: { type: 'date', aliases: ['closing_date', 'closingDate', 'close_date', 'expected_close_date'] },
+        ownerId: { type: 'id', aliases: ['owner.id', 'owner_id'] },
+        ownerName: { type: 'string', aliases: ['owner.name', 'owner.full_name', 'ownerFullName'] },
+        ownerEmail: { type: 'email', aliases: ['owner.email'] },
+        salesUnit: { type: 'string', aliases: ['unit.name', 'sales_unit.name', 'salesUnitName'] },
+        jobNumber: { type: 'string', aliases: [] },
+        jobStatus: { type: 'string', aliases: [] },
+        projectType: { type: 'string', aliases: [] },
+        equipmentType: { type: 'string', aliases: [] },
+        facility: { type: 'string', aliases: [] },
+        intranetJobUrl: { type: 'string', aliases: [] },
+        description: { type: 'string', aliases: [] },
+        modified: { type: 'string', aliases: ['modified_at', 'updated', 'updated_at', 'modifiedAt'] },
+        // Merge events: data is the opportunity that was merged away, this is the one that survived
+        mergedIntoId: {
+            type: 'id',
+            aliases: ['merged_into_id', 'mergedInto.id', 'merged_into.id', 'survivorId', 'survivor_id', 'master_id', 'masterId', 'target_id']
+        }
+    },
+    Activity: {
+        id: { type: 'id', required: true, aliases: ['activityId', 'entity_id'] },
+        subject: { type: 'string', aliases: ['name', 'title'] },
+        description: { type: 'string', aliases: ['note', 'notes'] },
+        type: { type: 'string', aliases: ['activityType', 'activity_type.name', 'type.name'] },
+        priority: { type: 'string', aliases: ['priority.name'] },
+        status: { type: 'string', aliases: ['activityStatus', 'status.name', 'activity_status'] },
+        completed: { type: 'boolean', aliases: ['isCompleted', 'is_completed'] },
+        dueDate: { type: 'date', aliases: ['due_date', 'due_date_time', 'dueDateTime', 'end_date'] },
+        opportunityId: {
+            type: 'id',
+            aliases: ['relatedOpportunityId', 'opportunity.id', 'opportunity_relations.0.opportunity_id', 'opportunity_relations.0.opportunity.id']
+        },
+        ownerName: { type: 'string', aliases: ['owner.name', 'owner.full_name'] },
+        ownerEmail: { type: 'email', aliases: ['owner.email'] },
+        modified: { type: 'string', aliases: ['modified_at', 'updated', 'updated_at', 'modifiedAt'] }
+    }
+};
+
+// Load extra aliases, e.g. { "Opportunity": { "jobNumber": ["cf_job_no"] } } (a missing file is fine)
+function loadFieldAliases(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) return {};
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function toSnakeCase(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+// Read a dot path ("owner.email", "opportunity_relations.0.opportunity_id") from an object
+function readPath(source, dotPath) {
+    return dotPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), source);
+}
+
+// Convert a raw value to the field type - returns { value } or { problem }
+function coerce(field, type, raw) {
+    if (raw === undefined) return {};
+    if (raw === null || raw === '') return { value: null };
+
+    switch (type) {
+        case 'id':
+            return { value: String(raw) };
+        case 'number':
+        case 'percent': {
+            const number = typeof raw === 'number' ? raw : Number(String(raw).replace(/[,\s%$€£]/g, ''));
+            if (Number.isNaN(number)) return { problem: `${field} must be a number (got "${raw}")` };
+            if (type === 'percent' && (number < 0 || number > 100)) return { problem: `${field} must be between 0 and 100 (got ${number})` };
+            if (type === 'number' && number < 0) return { problem: `${field} must not be negative (got ${number})` };
+            return { value: number };
+        }
+        case 'date':
+            if (Number.isNaN(new Date(raw).getTime())) return { problem: `${field} must be a date (got "${raw}")` };
+            return { value: String(raw) };
+        case 'boolean':
+            if (typeof raw === 'boolean') return { value: raw };
+            if (['true', 'false', '1', '0'].includes(String(raw).toLowerCase())) return { value: ['true', '1'].includes(String(raw).toLowerCase()) };
+            return { problem: `${field} must be true or false (got "${raw}")` };
+        case 'email':
+            if (typeof raw !== 'string' || !/^[^@\s]+@[^@\s]+$/.test(raw)) return { problem: `${field} must be an email address (got "${raw}")` };
+            return { value: raw.trim() };
+        default:
+            return { value: String(raw) };
+    }
+}
+
+// Map raw entity data to the internal model
+// Scalar fields we don't know about are kept as-is so templates and rules can still use them
+function normalizeData(entity, raw, extraAliases = {}) {
+    const schema = SCHEMA[entity];
+    const problems = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { data: {}, problems: ['data must be an object'] };
+    }
+    if (!schema) return { data: { ...raw }, problems };
+
+    const data = {};
+    for (const [key, value] of Object.entries(raw)) {
+        if (value === null || typeof value !== 'object') data[key] = value;
+    }
+
+    for (const [field, definition] of Object.entries(schema)) {
+        const snake = toSnakeCase(field);
+        const candidates = [
+            field,
+            ...definition.aliases,
+            ...(extraAliases[entity]?.[field] || []),
+            snake,
+            `cf_${snake}`
+        ];
+
+        // Clear any copied alias keys so the model only has the internal name
+        for (const candidate of candidates) {
+            if (candidate !== field && !candidate.includes('.')) delete data[candidate];
+        }
+
+        // Objects are skipped so e.g. value: { base_value } falls through to the "value.base_value" alias
+        const source = candidates.find(candidate => {
+            const value = readPath(raw, candidate);
+            return value !== undefined && (value === null || typeof value !== 'object');
+        });
+        const result = coerce(field, definition.type, source === undefined ? undefined : readPath(raw, source));
+
+        if (result.problem) {
+            problems.push(result.problem);
+        } else if (result.value !== undefined) {
+            data[field] = result.value;
+        } else {
+            delete data[field];
+        }
+
+        if (definition.required && (data[field] === undefined || data[field] === null)) {
+            problems.push(`${field} is required`);
+        }
+    }
+
+    return { data, problems };
+}
+
+// Split "Opportunity.Update" style event names
+function parseEventName(event) {
+    const [entity, action] = String(event).split(/[.:/]/);
+    return { entity, action };
+}
+
+// Normalize a webhook body - throws PayloadValidationError listing everything that's wrong
+// Accepts { entity, action, data } and Pipeliner's { event: "Opportunity.Update", data } shapes
+function normalizeEvent(body, { aliases = {} } = {}) {
+    const problems = [];
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new PayloadValidationError(['body must be a JSON object']);
+    }
+
+    const fromEvent = body.event ? parseEventName(body.event) : {};
+    const rawEntity = body.entity || body.entity_name || body.entityType || body.entity_type || fromEvent.entity;
+    const rawAction = body.action || body.event_type || body.eventType || fromEvent.action;
+
+    if (!rawEntity) problems.push('entity is required');
+    if (!rawAction) problems.push('action is required');
+
+    const entity = ENTITY_ALIASES[String(rawEntity || '').toLowerCase()] || rawEntity;
+    const action = ACTION_ALIASES[String(rawAction || '').toLowerCase()] || String(rawAction || '').toLowerCase();
+
+    const rawData = body.data || body.entity_data || body.record;
+    if (rawData === undefined) problems.push('data is required');
+
+    const normalized = rawData === undefined ? { data: {}, problems: [] } : normalizeData(entity, rawData, aliases);
+    problems.push(...normalized.problems.map(p => `data.${p}`));
+    if (entity === 'Opportunity' && action === 'merge' && rawData !== undefined && !normalized.data.mergedIntoId) {
+        problems.push('data.mergedIntoId is required for a merge (the opportunity that was kept)');
+    }
+
+    if (problems.length > 0) {
+        throw new PayloadValidationError(problems);
+    }
+
+    return {
+        eventId: body.eventId || body.event_id || (body.event ? body.id : undefined),
+        entity,
+        action,
+        data: normalized.data
+    };
+}
+
+module.exports = {
+    normalizeEvent,
+    normalizeData,
+    loadFieldAliases,
+    PayloadValidationError,
+    SCHEMA
+};
@@ -0,0 +1,265 @@
+// Notifications - Microsoft Teams, Slack and email messages when a project is created, an opportunity is won or a
+// sync fails for good. Rules decide which channels hear about which events; repeated failures are throttled
+
+const fs = require('fs');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { matchesRule } = require('./templates');
+const { resolveEnvReferences } = require('./envReferences');
+const { dryRunResponse } = require('./dryRun');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const EVENTS = ['projectCreated', 'opportunityWon', 'syncFailed'];
+const CHANNEL_TYPES = ['teams', 'slack', 'email'];
+
+// Built-in messages - {{field}} or {{field|fallback}} placeholders, replaceable per event in the notifications file
+const DEFAULT_MESSAGES = {
+    projectCreated: {
+        title: 'New Asana project: {{projectName}}',
+        text: 'Job {{jobNumber|(no job number)}} for {{accountName|(no account)}} - value {{value}}, owner {{owner|(no owner)}}'
+    },
+    opportunityWon: {
+        title: 'Won: {{projectName}}',
+        text: 'Moved from {{from|(new)}} to {{to}}. Job {{jobNumber|(no job number)}} - value {{value}}, owner {{owner|(no owner)}}'
+    },
+    syncFailed: {
+        title: 'Pipeliner sync failed: {{entity|Job}} {{action}} {{recordId}}',
+        text: '{{name|(no name)}}, job {{jobNumber|(no job number)}} - gave up after {{attempts}} attempt(s): {{error}}'
+    }
+};
+
+const DEFAULT_SETTINGS = {
+    channels: {},
+    rules: [],
+    messages: DEFAULT_MESSAGES,
+    wonStages: ['Won', 'Closed Won'], // A match rule - a value, a list, or { "pattern": "regex" }
+    throttleMinutes: { syncFailed: 60 } // Per event: the same message is sent at most once in this window
+};
+
+// Load and validate the notifications file (a missing file just means no notifications)
+// {
+//   "channels": {
+//     "sales": { "type": "teams", "url": "${TEAMS_SALES_WEBHOOK_URL}" },
+//     "ops": { "type": "slack", "url": "${SLACK_OPS_WEBHOOK_URL}" },
+//     "pm": { "type": "email", "to": ["pm@example.com"], "from": "asana-bot@example.com", "smtp": "${SMTP_URL}" }
+//   },
+//   "rules": [
+//     { "event": "projectCreated", "channels": ["sales", "pm"], "match": { "salesUnit": "Panel Shop" } },
+//     { "event": "syncFailed", "channels": ["ops"] }
+//   ]
+// }
+function loadNotifications(filePath, env = process.env) {
+    if (!fs.existsSync(filePath)) return DEFAULT_SETTINGS;
+
+    const missing = new Set();
+    const parsed = resolveEnvReferences(JSON.parse(fs.readFileSync(filePath, 'utf8')) || {}, env, missing);
+    const settings = {
+        ...DEFAULT_SETTINGS,
+        ...parsed,
+        messages: { ...DEFAULT_MESSAGES },
+        throttleMinutes: { ...DEFAULT_SETTINGS.throttleMinutes, ...parsed.throttleMinutes }
+    };
+    const problems = Array.from(missing, name => `\${${name}} is not set`);
+
+    for (const [name, channel] of Object.entries(settings.channels)) {
+        if (!CHANNEL_TYPES.includes(channel.type)) {
+            problems.push(`channel ${name} has an unknown type "${channel.type}" (expected ${CHANNEL_TYPES.join(', ')})`);
+        } else if (channel.type === 'email') {
+            if (!channel.to || channel.to.length === 0) problems.push(`channel ${name} has no "to" address`);
+            if (!channel.from) problems.push(`channel ${name} has no "from" address`);
+            if (!channel.smtp) problems.push(`channel ${name} has no "smtp" server`);
+        } else if (!/^https?:\/\//.test(channel.url || '')) {
+            problems.push(`channel ${name} needs the incoming webhook "url"`);
+        }
+    }
+    settings.rules.forEach((rule, index) => {
+        const label = rule.name || `#${index + 1}`;
+        if (!EVENTS.includes(rule.event)) problems.push(`rule ${label} has an unknown event "${rule.event}" (expected ${EVENTS.join(', ')})`);
+        if (!Array.isArray(rule.channels) || rule.channels.length === 0) problems.push(`rule ${label} has no channels`);
+        for (const channel of rule.channels || []) {
+            if (!settings.channels[channel]) problems.push(`rule ${label} uses channel "${channel}", which is not defined`);
+        }
+    });
+    for (const [event, message] of Object.entries(parsed.messages || {})) {
+        if (!EVENTS.includes(event)) {
+            problems.push(`message for unknown event "${event}"`);
+        } else {
+            settings.messages[event] = { ...DEFAULT_MESSAGES[event], ...message };
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid notifications in ${filePath}: ${problems.join('; ')}`);
+    }
+
+    return settings;
+}
+
+// Fill {{field}} and {{field|fallback}} placeholders - the messages are plain text
+function renderMessageText(text, values) {
+    return String(text || '').replace(/\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g, (_match, key, fallback) => {
+        const value = values[key];
+        if (value === undefined || value === null || value === '') return fallback === undefined ? '' : fallback.trim();
+        return String(value);
+    });
+}
+
+// Links shown as buttons (Teams), inline links (Slack) or lines at the end (email)
+function messageLinks(values) {
+    return [
+        values.projectUrl && { label: 'Open in Asana', url: values.projectUrl },
+        values.pipelinerUrl && { label: 'Open in Pipeliner', url: values.pipelinerUrl },
+        values.adminUrl && { label: 'Failed jobs', url: values.adminUrl }
+    ].filter(Boolean);
+}
+
+// Incoming webhook (Teams Workflows "When a Teams webhook request is received") - an Adaptive Card
+function teamsPayload({ title, text, links }) {
+    return {
+        type: 'message',
+        attachments: [{
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            content: {
+                $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                type: 'AdaptiveCard',
+                version: '1.4',
+                body: [
+                    { type: 'TextBlock', text: title, weight: 'Bolder', size: 'Medium', wrap: true },
+                    { type: 'TextBlock', text, wrap: true }
+                ],
+                actions: links.map(link => ({ type: 'Action.OpenUrl', title: link.label, url: link.url }))
+            }
+        }]
+    };
+}
+
+function escapeSlack(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Slack incoming webhook - mrkdwn text
+function slackPayload({ title, text, links }) {
+    const linkLine = links.map(link => `<${link.url}|${escapeSlack(link.label)}>`).join(' | ');
+    return { text: [`*${escapeSlack(title)}*`, escapeSlack(text), linkLine].filter(Boolean).join('\n') };
+}
+
+function emailMessage(channel, { title, text, links }) {
+    return {
+        from: channel.from,
+        to: [].concat(channel.to).join(', '),
+        subject: title,
+        text: [text, '', ...links.map(link => `${link.label}: ${link.url}`)].join('\n').trim()
+    };
+}
+
+// tenant labels the metrics; timeoutMs applies to each delivery
+function createNotifier({ settings = DEFAULT_SETTINGS, tenant = '', timeoutMs = 10000 } = {}) {
+    // Event + message key -> { until, suppressed, since } while a notification is being throttled
+    const throttled = new Map();
+    // One SMTP transport per email channel, created on first use
+    const transports = new Map();
+
+    const adapters = {
+        teams: (channel, message) => axios.post(channel.url, teamsPayload(message), { timeout: timeoutMs }),
+        slack: (channel, message) => axios.post(channel.url, slackPayload(message), { timeout: timeoutMs }),
+        email: (channel, message, name) => {
+            if (!transports.has(name)) {
+                transports.set(name, nodemailer.createTransport(channel.smtp, { connectionTimeout: timeoutMs, socketTimeout: timeoutMs }));
+            }
+            return transports.get(name).sendMail(emailMessage(channel, message));
+        }
+    };
+
+    // Is the event's stage one of the won stages?
+    function isWonStage(stage) {
+        return stage !== undefined && stage !== null && matchesRule(settings.wonStages, stage);
+    }
+
+    // The same failure (numbers aside, so GIDs and IDs don't make it unique) is sent at most once per window
+    // The next one sent after the window says how many were held back
+    function throttle(event, values, now = Date.now()) {
+        const minutes = Number(settings.throttleMinutes[event]) || 0;
+        if (minutes <= 0) return { send: true, suppressed: 0 };
+
+        for (const [key, entry] of throttled) {
+            if (entry.until <= now && entry.suppressed === 0) throttled.delete(key);
+        }
+
+        const key = `${event}:${String(values.error || values.recordId || '').replace(/\d+/g, '#')}`;
+        const entry = throttled.get(key);
+        if (entry && entry.until > now) {
+            entry.suppressed++;
+            return { send: false };
+        }
+        throttled.set(key, { until: now + minutes * 60 * 1000, suppressed: 0, since: now });
+        return { send: true, suppressed: entry ? entry.suppressed : 0, since: entry ? entry.since : null };
+    }
+
+    function count(event, channel, outcome) {
+        metrics.notifications.inc({ tenant, event, channel, outcome });
+    }
+
+    // Send to one channel - a failure is logged and counted, never thrown
+    async function deliver(name, event, message) {
+        const channel = settings.channels[name];
+        const planned = dryRunResponse('notify', 'POST', name, { event, type: channel.type, title: message.title, text: message.text });
+        if (planned) {
+            logger.info(`Notification to ${name} → dry run`, { event, channel: name, dryRun: true });
+            count(event, name, 'dry-run');
+            return { channel: name, status: 'dry-run' };
+        }
+
+        try {
+            await adapters[channel.type](channel, message, name);
+            logger.info(`Notification sent to ${name}`, { event, channel: name, type: channel.type });
+            count(event, name, 'sent');
+            return { channel: name, status: 'sent' };
+        } catch (error) {
+            logger.warn(`Notification to ${name} failed`, { event, channel: name, type: channel.type, error });
+            count(event, name, 'failed');
+            return { channel: name, status: 'failed', error: error.message };
+        }
+    }
+
+    // Tell every channel whose rules match the event - resolves with what happened per channel, never rejects
+    // values are the fields the message templates and the rules' "match" can use
+    async function notify(event, values = {}) {
+        const channels = new Set();
+        for (const rule of settings.rules) {
+            if (rule.event !== event) continue;
+            const matches = Object.entries(rule.match || {}).every(([field, matchRule]) => matchesRule(matchRule, values[field]));
+            if (matches) {
+                for (const channel of rule.channels) channels.add(channel);
+            }
+        }
+        if (channels.size === 0) return [];
+
+        const gate = throttle(event, values);
+        if (!gate.send) {
+            logger.info('Notification throttled', { event, channels: Array.from(channels) });
+            for (const channel of channels) count(event, channel, 'throttled');
+            return Array.from(channels, channel => ({ channel, status: 'throttled' }));
+        }
+
+        const template = settings.messages[event];
+        let text = renderMessageText(template.text, values);
+        if (gate.suppressed > 0) {
+            text += `\n(${gate.suppressed} more like this since ${new Date(gate.since).toISOString()} were not sent)`;
+        }
+        const message = { title: renderMessageText(template.title, values), text, links: messageLinks(values) };
+
+        return Promise.all(Array.from(channels, channel => deliver(channel, event, message)));
+    }
+
+    return {
+        isEnabled: settings.rules.length > 0,
+        isWonStage,
+        notify
+    };
+}
+
+module.exports = {
+    loadNotifications,
+    createNotifier
+};
@@ -0,0 +1,121 @@
+// Pipeliner REST API client
+
+const axios = require('axios');
+const { dryRunResponse } = require('./dryRun');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+// Error from the Pipeliner API - network, rate limit and server errors are retryable
+class PipelinerError extends Error {
+    constructor(message, { status = null, method, path, retryable = false } = {}) {
+        super(message);
+        this.name = 'PipelinerError';
+        this.status = status;
+        this.method = method;
+        this.path = path;
+        this.retryable = retryable;
+    }
+}
+
+function toPipelinerError(error, method, path) {
+    const response = error.response;
+    if (!response) {
+        return new PipelinerError(`Pipeliner ${method} ${path} failed: ${error.message}`, { method, path, retryable: true });
+    }
+
+    const detail = response.data?.message || response.data?.error || response.statusText || 'Unknown error';
+    return new PipelinerError(`Pipeliner ${method} ${path} failed (${response.status}): ${detail}`, {
+        status: response.status,
+        method,
+        path,
+        retryable: response.status === 429 || response.status >= 500
+    });
+}
+
+// Create a client
+// baseUrl is the regional API host (e.g. https://eu-central.api.pipelinersales.com) or a local mock
+// tenant labels the client's metrics
+function createPipelinerClient({ baseUrl, spaceId, username, password, timeoutMs = 30000, tenant = '' } = {}) {
+    const isConfigured = Boolean(baseUrl && spaceId && username && password);
+    const http = axios.create({
+        baseURL: `${String(baseUrl || '').replace(/\/+$/, '')}/api/v100/rest/spaces/${spaceId}`,
+        timeout: timeoutMs,
+        auth: { username, password },
+        headers: { 'Content-Type': 'application/json' }
+    });
+
+    // Log the call and count it in the metrics - status is null for network errors
+    function recordRequest(method, path, status, startedAt) {
+        const durationMs = Date.now() - startedAt;
+        const fields = { service: 'pipeliner', method, path, status, durationMs };
+        metrics.apiRequests.inc({ tenant, service: 'pipeliner', method, status: status || 'network_error' });
+        metrics.apiRequestDuration.observe({ tenant, service: 'pipeliner', method }, durationMs / 1000);
+
+        if (status && status < 400) {
+            logger.info(`Pipeliner ${method} ${path} → ${status}`, fields);
+        } else {
+            logger.warn(`Pipeliner ${method} ${path} → ${status || 'network error'}`, fields);
+        }
+    }
+
+    // Full response body - most callers want request() instead
+    async function send(method, path, { data, params } = {}) {
+        const planned = dryRunResponse('pipeliner', method, path, data, { offline: !isConfigured });
+        if (planned) {
+            logger.info(`Pipeliner ${method} ${path} → dry run`, { service: 'pipeliner', method, path, dryRun: true });
+            return planned;
+        }
+
+        const startedAt = Date.now();
+        try {
+            const response = await http.request({ method, url: path, data, params });
+            recordRequest(method, path, response.status, startedAt);
+            return response.data;
+        } catch (error) {
+            const pipelinerError = toPipelinerError(error, method, path);
+            recordRequest(method, path, pipelinerError.status, startedAt);
+            throw pipelinerError;
+        }
+    }
+
+    // Pipeliner wraps entities in { success, data }
+    async function request(method, path, options) {
+        const body = await send(method, path, options);
+        return body?.data !== undefined ? body.data : body;
+    }
+
+    // Every record of an entity, following the page_info cursor
+    // filters are { field: value } or { field: { op: 'gte', value } }, e.g. { modified: { op: 'gte', value: '2025-01-01' } }
+    async function listAll(entity, { filters = {}, pageSize = 100 } = {}) {
+        const params = { first: pageSize };
+        for (const [field, filter] of Object.entries(filters)) {
+            const { op, value } = filter !== null && typeof filter === 'object' ? filter : { value: filter };
+            params[`filter[${field}]`] = value;
+            if (op) params[`filter-op[${field}]`] = op;
+        }
+
+        const records = [];
+        let after;
+        do {
+            const body = await send('GET', `/entities/${entity}`, { params: after ? { ...params, after } : params });
+            records.push(...(body?.data || []));
+            after = body?.page_info?.has_next_page ? body.page_info.end_cursor : null;
+        } while (after);
+
+        return records;
+    }
+
+    return {
+        isConfigured,
+        request,
+        listAll,
+        getEntity: (entity, id) => request('GET', `/entities/${entity}/${id}`),
+        updateEntity: (entity, id, fields) => request('PATCH', `/entities/${entity}/${id}`, { data: fields }),
+        updateOpportunity: (id, fields) => request('PATCH', `/entities/Opportunities/${id}`, { data: fields })
+    };
+}
+
+module.exports = {
+    createPipelinerClient,
+    PipelinerError
+};
@@ -0,0 +1,89 @@
+// Project notes - a managed block of Pipeliner details inside the project's html_notes
+// Only the block between the markers is ours; anything project managers write around it is kept
+
+const fs = require('fs');
+
+const START_MARKER = '▼ Pipeliner details - updated automatically, edits inside this block are replaced';
+const END_MARKER = '▲ End of Pipeliner details';
+
+// Notes written before the managed block existed - everything up to the sync line was generated
+const LEGACY_HEADER = '=== PIPELINER OPPORTUNITY DETAILS ===';
+const LEGACY_END = /Created from Pipeliner webhook: \S+/;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The block with the element wrapped around each marker (Asana keeps them as <em>)
+const MANAGED_BLOCK = new RegExp(
+    `(?:<(\\w+)[^>]*>\\s*)?${escapeRegExp(START_MARKER)}[\\s\\S]*?${escapeRegExp(END_MARKER)}(?:\\s*</\\w+>)?`
+);
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Load the notes template - an HTML fragment with {{field}} and {{field|fallback}} placeholders
+function loadNotesTemplate(filePath) {
+    const template = fs.readFileSync(filePath, 'utf8');
+    if (!/\{\{\s*[\w.]+/.test(template)) {
+        throw new Error(`Invalid notes template in ${filePath}: no {{placeholders}}`);
+    }
+    return template;
+}
+
+// Fill the template (values are HTML-escaped) and wrap it in the markers
+// A line whose placeholders are all empty and have no fallback is left out, as are lists left empty by that
+function renderNotesBlock(template, values) {
+    const lines = template.split(/\r?\n/).map(line => {
+        let placeholders = 0;
+        let empty = 0;
+        const rendered = line.replace(/\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g, (_match, key, fallback) => {
+            placeholders++;
+            const value = values[key];
+            if (value === undefined || value === null || value === '') {
+                if (fallback === undefined) empty++;
+                return escapeHtml(fallback === undefined ? '' : fallback.trim());
+            }
+            return escapeHtml(value);
+        });
+        return placeholders > 0 && empty === placeholders ? null : rendered;
+    });
+
+    const content = lines
+        .filter(line => line !== null)
+        .join('\n')
+        .replace(/<(ul|ol)>\s*<\/\1>\s*/g, '')
+        .trim();
+    return `<em>${START_MARKER}</em>\n${content}\n<em>${END_MARKER}</em>`;
+}
+
+// Replace the managed block in the existing html_notes, keeping everything around it
+// Notes without a block get it added at the top (legacy generated notes are replaced up to their sync line)
+function mergeManagedBlock(htmlNotes, block) {
+    const body = String(htmlNotes || '').replace(/^\s*<body>/, '').replace(/<\/body>\s*$/, '');
+
+    let merged;
+    if (!body.trim()) {
+        merged = block;
+    } else if (MANAGED_BLOCK.test(body)) {
+        merged = body.replace(MANAGED_BLOCK, () => block);
+    } else if (body.trim().startsWith(LEGACY_HEADER)) {
+        const legacyEnd = LEGACY_END.exec(body);
+        const rest = legacyEnd ? body.slice(legacyEnd.index + legacyEnd[0].length).trim() : '';
+        merged = rest ? `${block}\n\n${rest}` : block;
+    } else {
+        merged = `${block}\n\n${body.trim()}`;
+    }
+    return `<body>${merged}</body>`;
+}
+
+module.exports = {
+    loadNotesTemplate,
+    renderNotesBlock,
+    mergeManagedBlock
+};
@@ -0,0 +1,209 @@
+// Startup config validation and the /ready checks
+// validateConfig catches mistakes before the server starts; the probe checks that what's configured actually works
+
+const fs = require('fs');
+
+const GID_PATTERN = /^\d+$/;
+
+// Numeric settings - a value that isn't a positive number would otherwise silently fall back to the default
+const NUMERIC_ENV = [
+    'PORT', 'ASANA_MAX_CONCURRENT', 'ASANA_REQUESTS_PER_MINUTE', 'ASANA_JOB_POLL_INTERVAL_MS', 'PIPELINER_CACHE_TTL_SECONDS',
+    'DEDUPE_TTL_HOURS', 'QUEUE_MAX_ATTEMPTS', 'QUEUE_BASE_DELAY_MS', 'QUEUE_MAX_DELAY_MS', 'READY_MAX_QUEUE_BACKLOG'
+];
+
+// Pipeliner API settings and the variables they come from
+const PIPELINER_API = {
+    baseUrl: 'PIPELINER_API_URL',
+    spaceId: 'PIPELINER_SPACE_ID',
+    username: 'PIPELINER_API_USERNAME',
+    password: 'PIPELINER_API_PASSWORD'
+};
+
+function isUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (_error) {
+        return false;
+    }
+}
+
+// Problems with the configuration - errors stop the server, warnings are logged
+// Dry run needs no Asana credentials, since nothing is written
+function validateConfig(config, env = process.env) {
+    const errors = [];
+    const warnings = [];
+    const { asana } = config;
+
+    if (!asana.accessToken && !config.dryRun) {
+        errors.push('ASANA_ACCESS_TOKEN is not set (set DRY_RUN=true to run without Asana)');
+    }
+    if (!asana.workspaceId && !config.dryRun) {
+        errors.push('ASANA_WORKSPACE_ID is not set');
+    }
+    for (const [name, value] of [
+        ['ASANA_WORKSPACE_ID', asana.workspaceId],
+        ['ASANA_TEAM_ID', asana.teamId],
+        ['ASANA_TEMPLATE_PROJECT_ID', asana.templateProjectId],
+        ['ASANA_SALES_INBOX_PROJECT_ID', asana.salesInboxProjectId]
+    ]) {
+        if (value && !GID_PATTERN.test(value)) errors.push(`${name} must be an Asana GID (digits only), got "${value}"`);
+    }
+    if (!['project', 'project_template'].includes(asana.templateType)) {
+        errors.push(`ASANA_TEMPLATE_TYPE must be "project" or "project_template", got "${asana.templateType}"`);
+    }
+    if (asana.templateType === 'project_template' && asana.templateProjectId && !asana.teamId) {
+        errors.push('ASANA_TEAM_ID is required to instantiate a project template (ASANA_TEMPLATE_TYPE=project_template)');
+    } else if (!asana.teamId) {
+        warnings.push('ASANA_TEAM_ID is not set - project creation fails in team-based workspaces');
+    }
+    if (!isUrl(asana.baseUrl)) {
+        errors.push(`ASANA_BASE_URL must be an http(s) URL, got "${asana.baseUrl}"`);
+    }
+
+    if (!config.security.webhookSigningSecret && !config.security.webhookSharedSecret) {
+        errors.push('Neither PIPELINER_WEBHOOK_SECRET nor PIPELINER_SHARED_SECRET is set - every webhook would be rejected');
+    }
+    if (!config.security.adminApiKey) {
+        warnings.push('ADMIN_API_KEY is not set - /test and /admin are disabled');
+    }
+
+    // A tenant's settings come from the tenants file, laid over the environment - its space ID alone routes webhooks
+    // and the API host may be the shared one, so only its credentials say it uses the API
+    const { pipeliner } = config;
+    const unset = Object.keys(PIPELINER_API).filter(key => !pipeliner[key]);
+    const usesApi = config.tenant ? pipeliner.username || pipeliner.password : unset.length < Object.keys(PIPELINER_API).length;
+    if (usesApi && unset.length > 0) {
+        const names = unset.map(key => (config.tenant ? `pipeliner.${key}` : PIPELINER_API[key]));
+        errors.push(`Pipeliner API is partly configured - also set ${names.join(', ')}`);
+    }
+    if (config.pipeliner.baseUrl && !isUrl(config.pipeliner.baseUrl)) {
+        errors.push(`PIPELINER_API_URL must be an http(s) URL, got "${config.pipeliner.baseUrl}"`);
+    }
+    if (config.publicUrl && !isUrl(config.publicUrl)) {
+        errors.push(`PUBLIC_URL must be an http(s) URL, got "${config.publicUrl}"`);
+    }
+
+    if (!['json', 'memory'].includes(config.storage.driver)) {
+        errors.push(`STORAGE_DRIVER must be "json" or "memory", got "${config.storage.driver}"`);
+    } else if (config.storage.driver === 'memory') {
+        warnings.push('STORAGE_DRIVER is memory - mappings and queued jobs are lost on restart');
+    }
+    if (!['archive', 'rename'].includes(config.opportunities.deletePolicy)) {
+        errors.push(`OPPORTUNITY_DELETE_POLICY must be "archive" or "rename", got "${config.opportunities.deletePolicy}"`);
+    }
+    if (!['cancel', 'delete'].includes(config.activities.deletePolicy)) {
+        errors.push(`ACTIVITY_DELETE_POLICY must be "cancel" or "delete", got "${config.activities.deletePolicy}"`);
+    }
+
+    for (const name of NUMERIC_ENV) {
+        if (env[name] === undefined || env[name] === '') continue;
+        const value = Number(env[name]);
+        if (Number.isNaN(value) || value <= 0) errors.push(`${name} must be a positive number, got "${env[name]}"`);
+    }
+
+    return { errors, warnings };
+}
+
+// Reject after timeoutMs so one hung dependency can't hold up the whole probe
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Readiness checks against the live dependencies
+// Each check resolves to { status: 'ok' | 'warn' | 'skipped', detail }, a thrown error is a 'fail'
+// Results are cached for cacheMs so frequent probes don't eat into the Asana rate limit
+function createReadinessProbe({
+    asana,
+    config,
+    mappingStore,
+    jobQueue,
+    maxQueueBacklog = 100,
+    timeoutMs = 5000,
+    cacheMs = 10000
+}) {
+    let cached = null;
+    const skipped = detail => ({ status: 'skipped', detail });
+
+    const checks = {
+        // The token is valid
+        asanaToken: async () => {
+            if (!asana.isConfigured) return skipped('ASANA_ACCESS_TOKEN is not set (dry run)');
+            const user = await asana.get('/users/me', { opt_fields: 'name' });
+            return { status: 'ok', detail: `Authenticated as ${user.name}` };
+        },
+        workspace: async () => {
+            if (!config.asana.workspaceId) return skipped('ASANA_WORKSPACE_ID is not set');
+            if (!asana.isConfigured) return skipped('No Asana token');
+            const workspace = await asana.get(`/workspaces/${config.asana.workspaceId}`, { opt_fields: 'name' });
+            return { status: 'ok', detail: workspace.name };
+        },
+        team: async () => {
+            if (!config.asana.teamId) return skipped('ASANA_TEAM_ID is not set');
+            if (!asana.isConfigured) return skipped('No Asana token');
+            const team = await asana.get(`/teams/${config.asana.teamId}`, { opt_fields: 'name' });
+            return { status: 'ok', detail: team.name };
+        },
+        template: async () => {
+            if (!config.asana.templateProjectId) return skipped('ASANA_TEMPLATE_PROJECT_ID is not set');
+            if (!asana.isConfigured) return skipped('No Asana token');
+            const templatePath = config.asana.templateType === 'project_template'
+                ? `/project_templates/${config.asana.templateProjectId}`
+                : `/projects/${config.asana.templateProjectId}`;
+            const template = await asana.get(templatePath, { opt_fields: 'name' });
+            return { status: 'ok', detail: template.name };
+        },
+        // Readable, and for the json driver the data directory is writable
+        mappingStore: async () => {
+            const mappings = await mappingStore.list();
+            if (mappingStore.driver === 'json') {
+                await fs.promises.mkdir(config.storage.dataDir, { recursive: true });
+                await fs.promises.access(config.storage.dataDir, fs.constants.W_OK);
+            }
+            return { status: 'ok', detail: `${mappings.length} mapping(s) (${mappingStore.driver})` };
+        },
+        // A growing backlog means jobs aren't keeping up; dead-lettered jobs need someone to look at them
+        queue: async () => {
+            const stats = await jobQueue.stats();
+            const detail = `${stats.pending} pending, ${stats.processing} processing, ${stats.failed} failed`;
+            if (stats.pending > maxQueueBacklog) {
+                throw new Error(`${detail} - backlog over ${maxQueueBacklog}`);
+            }
+            return { status: stats.failed > 0 ? 'warn' : 'ok', detail };
+        }
+    };
+
+    async function runCheck(name, check) {
+        const startedAt = Date.now();
+        try {
+            const result = await withTimeout(check(), timeoutMs);
+            return { name, ...result, latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            return { name, status: 'fail', detail: error.message, latencyMs: Date.now() - startedAt };
+        }
+    }
+
+    // Ready unless a check failed
+    async function check() {
+        if (cached && cached.expiresAt > Date.now()) return cached.result;
+
+        const results = await Promise.all(Object.entries(checks).map(([name, fn]) => runCheck(name, fn)));
+        const result = {
+            ready: results.every(result => result.status !== 'fail'),
+            checkedAt: new Date().toISOString(),
+            checks: results
+        };
+        cached = { result, expiresAt: Date.now() + cacheMs };
+        return result;
+    }
+
+    return { check };
+}
+
+module.exports = {
+    validateConfig,
+    createReadinessProbe
+};
@@ -0,0 +1,165 @@
+// Bulk reconcile - makes sure every Pipeliner opportunity has its Asana project
+// Backfills opportunities from before the webhook existed, or whose webhooks were lost during downtime
+
+const { logger } = require('./logger');
+const { normalizeData } = require('./normalize');
+
+const ACTIONS = ['create', 'update', 'link', 'unchanged', 'conflict'];
+const SYMBOLS = { create: '+', update: '~', link: '↔', unchanged: '=', conflict: '!' };
+
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Does the project name carry this job number - "[J-123] ..." or as a standalone word?
+function nameHasJobNumber(name, jobNumber) {
+    if (!name || !jobNumber) return false;
+    return new RegExp(`(^|[^\\w-])${escapeRegExp(jobNumber)}($|[^\\w-])`, 'i').test(name);
+}
+
+// Decide what to do for one opportunity
+// projects are every Asana project we can see, mappedGids the projects already mapped to any opportunity
+function planOpportunity({ data, mapping, projects, mappedGids, expectedName }) {
+    const item = { opportunityId: String(data.id), name: data.name || null, jobNumber: data.jobNumber || null };
+
+    const mappedProject = mapping ? projects.find(p => p.gid === mapping.projectGid) : null;
+    if (mappedProject) {
+        const modifiedChanged = data.modified !== undefined && mapping.snapshot?.modified !== data.modified;
+        if (mappedProject.name === expectedName && !modifiedChanged) {
+            return { ...item, action: 'unchanged', projectGid: mappedProject.gid };
+        }
+        return { ...item, action: 'update', projectGid: mappedProject.gid, reason: modifiedChanged ? 'modified in Pipeliner' : 'project name differs' };
+    }
+
+    // No project (or the mapped one is gone) - look for one named with the job number that nothing else owns
+    const candidates = projects.filter(p => nameHasJobNumber(p.name, data.jobNumber) && (!mappedGids.has(p.gid) || p.gid === mapping?.projectGid));
+    const stale = mapping ? `mapped project ${mapping.projectGid} no longer exists` : null;
+
+    if (candidates.length === 1) {
+        return { ...item, action: 'link', projectGid: candidates[0].gid, reason: [stale, `job number matches "${candidates[0].name}"`].filter(Boolean).join('; ') };
+    }
+    if (candidates.length > 1) {
+        return {
+            ...item,
+            action: 'conflict',
+            projectGid: null,
+            reason: `job number matches ${candidates.length} projects: ${candidates.map(p => p.gid).join(', ')}`
+        };
+    }
+    return { ...item, action: 'create', projectGid: null, reason: stale || 'no mapping or matching project' };
+}
+
+// Create the reconciler
+// handlers are the same create/update flows the webhooks use, so backfilled projects look identical
+function createReconciler({ pipeliner, mappingStore, enricher, aliases = {}, listProjects, formatProjectName, handlers }) {
+    // Work out what would change - nothing is written
+    async function plan({ since } = {}) {
+        const filters = since ? { modified: { op: 'gte', value: since } } : {};
+        const records = (await pipeliner.listAll('Opportunities', { filters })).filter(r => !r.is_delete);
+        const projects = await listProjects();
+        const mappings = await mappingStore.list();
+        const mappedGids = new Set(mappings.map(m => m.projectGid));
+
+        const planned = [];
+        for (const record of records) {
+            const normalized = normalizeData('Opportunity', record, aliases).data;
+            const data = await enricher.enrichOpportunity(normalized, { record });
+            const mapping = await mappingStore.get(data.id);
+            const item = planOpportunity({ data, mapping, projects, mappedGids, expectedName: formatProjectName(data) });
+
+            // A linked project can't be claimed by a later opportunity in the same run
+            if (item.action === 'link') mappedGids.add(item.projectGid);
+            planned.push({ item, data, mapping });
+        }
+        return planned;
+    }
+
+    // Run a handler to the end - outside the job queue nobody comes back later, so a handler that is waiting
+    // (e.g. for Asana to copy a template) is called again after the delay it asks for
+    async function untilDone(handler, data) {
+        for (;;) {
+            try {
+                return await handler(data);
+            } catch (error) {
+                if (!error.waiting) throw error;
+                await new Promise(resolve => setTimeout(resolve, error.retryAfterMs || 1000));
+            }
+        }
+    }
+
+    // Apply one planned change
+    async function apply({ item, data, mapping }) {
+        switch (item.action) {
+            case 'create':
+                // The mapping points at a project that's gone - drop it so a fresh project is built
+                if (mapping) await mappingStore.remove(data.id);
+                return untilDone(handlers.create, data);
+            case 'link':
+                await mappingStore.set(data.id, item.projectGid, { linkedBy: 'reconcile' });
+                return untilDone(handlers.update, data);
+            case 'update':
+                return untilDone(handlers.update, data);
+            default:
+                return null;
+        }
+    }
+
+    // Plan, and unless dryRun apply every change - one failure doesn't stop the rest
+    async function run({ since, dryRun = false } = {}) {
+        const planned = await plan({ since });
+
+        for (const entry of planned) {
+            const { item } = entry;
+            if (dryRun || item.action === 'unchanged' || item.action === 'conflict') {
+                item.status = item.action === 'conflict' ? 'skipped' : (dryRun ? 'planned' : 'ok');
+                continue;
+            }
+            try {
+                await apply(entry);
+                item.status = 'done';
+                if (item.action === 'create') {
+                    item.projectGid = (await mappingStore.get(entry.data.id))?.projectGid || null;
+                }
+            } catch (error) {
+                item.status = 'failed';
+                item.error = error.message;
+                logger.error(`Reconcile ${item.action} failed`, { opportunityId: item.opportunityId, error });
+            }
+        }
+
+        const items = planned.map(entry => entry.item);
+        const counts = Object.fromEntries(ACTIONS.map(action => [action, items.filter(i => i.action === action).length]));
+        return {
+            since: since || null,
+            dryRun,
+            total: items.length,
+            counts,
+            failed: items.filter(i => i.status === 'failed').length,
+            items
+        };
+    }
+
+    return { plan, run };
+}
+
+// Human-readable diff, one line per opportunity that isn't already in sync
+function formatReport(result) {
+    const lines = result.items
+        .filter(item => item.action !== 'unchanged')
+        .map(item => {
+            const label = `${item.opportunityId}${item.jobNumber ? ` [${item.jobNumber}]` : ''} ${item.name || ''}`.trim();
+            const target = item.projectGid ? ` → ${item.projectGid}` : '';
+            const status = item.status === 'failed' ? ` ✗ ${item.error}` : '';
+            return `${SYMBOLS[item.action]} ${item.action.padEnd(9)} ${label}${target}${item.reason ? ` (${item.reason})` : ''}${status}`;
+        });
+
+    lines.push(`${result.counts.unchanged} unchanged`);
+    return lines.join('\n');
+}
+
+module.exports = {
+    createReconciler,
+    planOpportunity,
+    nameHasJobNumber,
+    formatReport
+};
@@ -0,0 +1,139 @@
+// Stage-driven automation - Asana actions that run when an opportunity moves through the pipeline
+// Rules are keyed on a field transition (stage by default, or e.g. jobStatus)
+
+const fs = require('fs');
+const { logger } = require('./logger');
+const { matchesRule } = require('./templates');
+
+const ACTION_TYPES = ['completeTask', 'reopenTask', 'postStatusUpdate', 'archiveProject', 'setColor'];
+const STATUS_TYPES = ['on_track', 'at_risk', 'off_track', 'on_hold', 'complete'];
+
+// Load and validate the rules file (a missing file just means no rules)
+function loadStageRules(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const rules = parsed?.rules || [];
+    const problems = [];
+
+    rules.forEach((rule, index) => {
+        const label = rule.name || `#${index + 1}`;
+        if (rule.to === undefined) problems.push(`rule ${label} has no "to" value`);
+        if (!Array.isArray(rule.actions) || rule.actions.length === 0) problems.push(`rule ${label} has no actions`);
+        (rule.actions || []).forEach(action => {
+            if (!ACTION_TYPES.includes(action.type)) problems.push(`rule ${label} has an unknown action "${action.type}"`);
+            if (['completeTask', 'reopenTask'].includes(action.type) && !action.task) problems.push(`rule ${label} ${action.type} needs a task name`);
+            if (action.type === 'postStatusUpdate' && !STATUS_TYPES.includes(action.status)) problems.push(`rule ${label} has an invalid status "${action.status}"`);
+            if (action.type === 'setColor' && !action.color) problems.push(`rule ${label} setColor needs a color`);
+        });
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid stage rules in ${filePath}: ${problems.join('; ')}`);
+    }
+
+    return rules;
+}
+
+// Rules triggered by the change from the previous snapshot to the current data
+// A field only counts as changed when the new value is present and differs from the old one
+function findTriggeredRules(rules, previous, current) {
+    const before = previous || {};
+
+    return rules
+        .map(rule => {
+            const field = rule.field || 'stage';
+            const from = before[field];
+            const to = current[field];
+            if (to === undefined || to === null || String(from) === String(to)) return null;
+            if (!matchesRule(rule.to, to)) return null;
+            if (rule.from !== undefined && !matchesRule(rule.from, from)) return null;
+            return { rule, field, from, to };
+        })
+        .filter(Boolean);
+}
+
+// Fill {{placeholders}} from the transition and the opportunity data
+function renderText(text, transition, data) {
+    const values = { ...data, field: transition.field, from: transition.from, to: transition.to };
+    return String(text || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_match, key) => {
+        const value = values[key];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+// Set a task's completed flag by name - missing tasks are logged and skipped
+// beforeTaskChange is told about the change first (used to suppress the Asana webhook echo)
+async function setTaskCompleted(asana, projectGid, taskName, completed, beforeTaskChange) {
+    const tasks = await asana.getAll(`/projects/${projectGid}/tasks`, { opt_fields: 'name,completed' });
+    const task = tasks.find(t => t.name === taskName);
+
+    if (!task) {
+        logger.warn('Task not found', { projectGid, taskName });
+        return null;
+    }
+    if (task.completed === completed) return task;
+
+    if (beforeTaskChange) beforeTaskChange(task, completed);
+    await asana.put(`/tasks/${task.gid}`, { completed });
+    logger.info(`${completed ? 'Completed' : 'Reopened'} task ${task.gid}`, { projectGid, taskGid: task.gid, taskName });
+    return task;
+}
+
+// Run a single rule action against the project
+async function runAction(asana, projectGid, action, transition, data, beforeTaskChange) {
+    switch (action.type) {
+        case 'completeTask':
+            return setTaskCompleted(asana, projectGid, action.task, true, beforeTaskChange);
+        case 'reopenTask':
+            return setTaskCompleted(asana, projectGid, action.task, false, beforeTaskChange);
+        case 'postStatusUpdate':
+            await asana.post('/status_updates', {
+                parent: projectGid,
+                status_type: action.status,
+                title: renderText(action.title || `${transition.field}: ${transition.to}`, transition, data),
+                text: renderText(action.text, transition, data)
+            });
+            logger.info(`Posted ${action.status} status update`, { projectGid });
+            return null;
+        case 'archiveProject':
+            await asana.put(`/projects/${projectGid}`, { archived: true });
+            logger.info('Archived project', { projectGid });
+            return null;
+        case 'setColor':
+            await asana.put(`/projects/${projectGid}`, { color: action.color });
+            logger.info(`Set project color: ${action.color}`, { projectGid });
+            return null;
+        default:
+            throw new Error(`Unknown stage rule action: ${action.type}`);
+    }
+}
+
+// Apply every rule triggered by this change, in order
+// skipTransition lets the caller ignore changes that we made ourselves
+async function applyStageRules({ asana, rules, projectGid, previous, current, skipTransition, beforeTaskChange }) {
+    const triggered = findTriggeredRules(rules, previous, current);
+    const applied = [];
+
+    for (const transition of triggered) {
+        const label = `Stage rule "${transition.rule.name || transition.rule.to}": ${transition.field} ${transition.from || '(none)'} → ${transition.to}`;
+        if (skipTransition?.(transition)) {
+            logger.info(`${label} skipped (change came from our own sync)`, { projectGid });
+            continue;
+        }
+
+        logger.info(label, { projectGid });
+        for (const action of transition.rule.actions) {
+            await runAction(asana, projectGid, action, transition, current, beforeTaskChange);
+        }
+        applied.push(transition);
+    }
+
+    return applied;
+}
+
+module.exports = {
+    loadStageRules,
+    findTriggeredRules,
+    applyStageRules
+};
@@ -0,0 +1,108 @@
+// Project templates - which sections and tasks each new project gets
+// Loaded from a JSON or YAML file and picked per opportunity by match rules
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Load and validate the templates file
+function loadTemplates(filePath) {
+    const contents = fs.readFileSync(filePath, 'utf8');
+    const isYaml = ['.yml', '.yaml'].includes(path.extname(filePath).toLowerCase());
+    const parsed = isYaml ? yaml.load(contents) : JSON.parse(contents);
+
+    const templates = parsed?.templates || [];
+    const problems = [];
+
+    if (templates.length === 0) {
+        problems.push('no templates defined');
+    }
+    templates.forEach((template, index) => {
+        const label = template.id || `#${index + 1}`;
+        if (!template.id) problems.push(`template ${label} has no id`);
+        if (!Array.isArray(template.sections)) problems.push(`template ${label} has no sections`);
+        (template.sections || []).forEach(section => {
+            if (!section.name) problems.push(`template ${label} has a section without a name`);
+            (section.tasks || []).forEach(task => {
+                if (!task.name) problems.push(`template ${label} has a task without a name in section ${section.name}`);
+                if (task.due && !parseDueRule(task.due)) problems.push(`template ${label} task ${task.name} has an invalid due rule "${task.due}"`);
+            });
+        });
+    });
+
+    const defaultId = parsed?.default;
+    if (defaultId && !templates.some(t => t.id === defaultId)) {
+        problems.push(`default template "${defaultId}" does not exist`);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid project templates in ${filePath}: ${problems.join('; ')}`);
+    }
+
+    return { templates, defaultId: defaultId || templates[0].id };
+}
+
+// Does a single match rule accept this value?
+// A rule can be a value, a list of values, or { "pattern": "regex" } - comparisons ignore case
+function matchesRule(rule, value) {
+    if (Array.isArray(rule)) {
+        return rule.some(r => matchesRule(r, value));
+    }
+    if (rule && typeof rule === 'object' && rule.pattern) {
+        return value !== undefined && value !== null && new RegExp(rule.pattern, 'i').test(String(value));
+    }
+    return value !== undefined && value !== null && String(value).toLowerCase() === String(rule).toLowerCase();
+}
+
+// Pick the first template whose "match" rules all accept the opportunity, else the default
+function selectTemplate({ templates, defaultId }, data) {
+    const matched = templates.find(template => {
+        const rules = Object.entries(template.match || {});
+        return rules.length > 0 && rules.every(([field, rule]) => matchesRule(rule, data[field]));
+    });
+
+    return matched || templates.find(t => t.id === defaultId);
+}
+
+// Parse a relative due date rule like "closeDate + 14d", "today + 2w" or "closeDate - 3d"
+function parseDueRule(rule) {
+    const match = String(rule).trim().match(/^([A-Za-z_][\w.]*)\s*(?:([+-])\s*(\d+)\s*([dw]))?$/);
+    if (!match) return null;
+
+    const [, base, sign, amount, unit] = match;
+    const days = amount ? Number(amount) * (unit === 'w' ? 7 : 1) * (sign === '-' ? -1 : 1) : 0;
+    return { base, days };
+}
+
+// Resolve a due date rule against the opportunity (YYYY-MM-DD, or null when the base date is missing)
+function resolveDueDate(rule, data, now = new Date()) {
+    const parsed = parseDueRule(rule);
+    if (!parsed) return null;
+
+    const baseValue = parsed.base === 'today' ? now : data[parsed.base];
+    if (!baseValue) return null;
+
+    const date = new Date(baseValue);
+    if (Number.isNaN(date.getTime())) return null;
+
+    date.setUTCDate(date.getUTCDate() + parsed.days);
+    return date.toISOString().split('T')[0];
+}
+
+// Resolve who a task is assigned to
+// "owner" uses the opportunity owner's email, { "field": "x" } reads data.x, anything else is an Asana email or GID
+function resolveAssignee(rule, data) {
+    if (!rule) return null;
+    if (rule === 'owner') return data.ownerEmail || null;
+    if (typeof rule === 'object' && rule.field) return data[rule.field] || null;
+    return String(rule);
+}
+
+module.exports = {
+    loadTemplates,
+    selectTemplate,
+    matchesRule,
+    parseDueRule,
+    resolveDueDate,
+    resolveAssignee
+};
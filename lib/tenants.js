@@ -0,0 +1,207 @@
+// Tenants - several Pipeliner spaces and Asana workspaces served by one deployment
+// Each tenant's settings are laid over the config from the environment, and each gets its own app (see createApp)
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const express = require('express');
+const { captureRawBody } = require('./auth');
+const { resolveEnvReferences } = require('./envReferences');
+const { validateConfig } = require('./readiness');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Settings that point at a file - relative paths are resolved from the tenants file's folder
+const PATH_SETTINGS = ['templates', 'notes', 'stageRules', 'customFields', 'userDirectory', 'fieldAliases', 'completionSync', 'notifications'];
+
+// What a tenant can set - anything else is shared by every tenant (storage driver, queue, logging...)
+const TENANT_SETTINGS = ['asana', 'pipeliner', 'security', 'opportunities', 'activities', 'publicUrl', ...PATH_SETTINGS];
+
+// Never inherited from the environment, so one tenant can't end up writing to another's workspace or
+// accepting another's webhooks
+const OWN_SETTINGS = {
+    asana: ['accessToken', 'workspaceId', 'teamId', 'templateProjectId', 'salesInboxProjectId'],
+    pipeliner: ['spaceId', 'username', 'password'],
+    security: ['webhookSigningSecret', 'webhookSharedSecret']
+};
+
+const PIPELINER_API_SETTINGS = ['baseUrl', 'spaceId', 'username', 'password'];
+
+// Load and validate the tenants file (JSON or YAML) - a tenant without pipeliner.baseUrl uses PIPELINER_API_URL
+// {
+//   "tenants": [
+//     {
+//       "id": "emea",
+//       "asana": { "accessToken": "${EMEA_ASANA_TOKEN}", "workspaceId": "...", "teamId": "..." },
+//       "pipeliner": { "spaceId": "...", "username": "${EMEA_PIPELINER_KEY}", "password": "${EMEA_PIPELINER_SECRET}" },
+//       "security": { "webhookSharedSecret": "${EMEA_WEBHOOK_SECRET}" },
+//       "templates": { "path": "emea/project-templates.json" }
+//     }
+//   ]
+// }
+function loadTenants(filePath, env = process.env) {
+    const contents = fs.readFileSync(filePath, 'utf8');
+    const isYaml = ['.yml', '.yaml'].includes(path.extname(filePath).toLowerCase());
+    const parsed = isYaml ? yaml.load(contents) : JSON.parse(contents);
+
+    const entries = parsed?.tenants || [];
+    const problems = [];
+    const ids = new Set();
+    const spaceIds = new Map();
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+        problems.push('no tenants defined');
+    }
+
+    const tenants = (Array.isArray(entries) ? entries : []).map((entry, index) => {
+        const { id, name, ...settings } = entry || {};
+        const label = id ? `tenant "${id}"` : `tenant #${index + 1}`;
+
+        if (!id) {
+            problems.push(`${label} has no id`);
+        } else if (!TENANT_ID_PATTERN.test(String(id))) {
+            problems.push(`${label} id must be lowercase letters, digits, "-" or "_"`);
+        } else if (ids.has(id)) {
+            problems.push(`${label} is defined more than once`);
+        }
+        ids.add(id);
+
+        for (const [key, value] of Object.entries(settings)) {
+            if (!TENANT_SETTINGS.includes(key)) {
+                problems.push(`${label} has an unknown setting "${key}"`);
+            } else if (key !== 'publicUrl' && (!value || typeof value !== 'object' || Array.isArray(value))) {
+                problems.push(`${label} ${key} must be an object`);
+            }
+        }
+
+        const missing = new Set();
+        const resolved = resolveEnvReferences(settings, env, missing);
+        for (const variable of missing) problems.push(`${label} uses \${${variable}}, which is not set`);
+
+        // Relative to the tenants file, not the working directory
+        for (const key of PATH_SETTINGS) {
+            const setting = resolved[key];
+            if (setting && typeof setting.path === 'string' && setting.path && !path.isAbsolute(setting.path)) {
+                resolved[key] = { ...setting, path: path.resolve(path.dirname(filePath), setting.path) };
+            }
+        }
+
+        // The API host isn't one of the tenant's own settings - without it the tenant uses PIPELINER_API_URL
+        const own = resolved.pipeliner || {};
+        const pipeliner = { ...own, baseUrl: own.baseUrl || env.PIPELINER_API_URL };
+        const unset = PIPELINER_API_SETTINGS.filter(key => !pipeliner[key]);
+        if (PIPELINER_API_SETTINGS.some(key => key !== 'spaceId' && own[key]) && unset.length > 0) {
+            problems.push(`${label} has a partly configured Pipeliner API - also set ${unset.map(key => `pipeliner.${key}`).join(', ')}`);
+        }
+        if (pipeliner.spaceId) {
+            const spaceId = String(pipeliner.spaceId);
+            if (spaceIds.has(spaceId)) problems.push(`${label} has the same Pipeliner space as tenant "${spaceIds.get(spaceId)}"`);
+            spaceIds.set(spaceId, id);
+        }
+
+        return { id, name: name || id, settings: resolved };
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid tenants in ${filePath}: ${problems.join('; ')}`);
+    }
+
+    return tenants;
+}
+
+// The config a tenant's app runs with - the environment's config with the tenant's settings on top
+// Each tenant keeps its data in its own folder under DATA_DIR, and Asana reaches it under /tenants/<id>
+function tenantConfig(config, tenant) {
+    const merged = { ...config, tenant: tenant.id };
+
+    for (const [key, own] of Object.entries(OWN_SETTINGS)) {
+        merged[key] = { ...config[key] };
+        for (const setting of own) delete merged[key][setting];
+    }
+    for (const [key, value] of Object.entries(tenant.settings)) {
+        merged[key] = key === 'publicUrl' ? value : { ...merged[key], ...value };
+    }
+
+    merged.storage = { ...config.storage, dataDir: path.join(config.storage.dataDir, 'tenants', tenant.id) };
+    if (!tenant.settings.publicUrl && config.publicUrl) {
+        merged.publicUrl = `${config.publicUrl.replace(/\/+$/, '')}/tenants/${tenant.id}`;
+    }
+    return merged;
+}
+
+// validateConfig for every tenant - each problem is prefixed with the tenants it applies to, and problems they
+// share (e.g. a bad QUEUE_MAX_ATTEMPTS) are only listed once
+function validateTenantConfigs(configs, env = process.env) {
+    const results = configs.map(config => ({ tenant: config.tenant, ...validateConfig(config, env) }));
+
+    const combine = list => {
+        const tenantsByMessage = new Map();
+        for (const result of results) {
+            for (const message of result[list]) {
+                if (!tenantsByMessage.has(message)) tenantsByMessage.set(message, []);
+                tenantsByMessage.get(message).push(`"${result.tenant}"`);
+            }
+        }
+        return Array.from(tenantsByMessage, ([message, tenants]) => `${tenants.length > 1 ? 'tenants' : 'tenant'} ${tenants.join(', ')}: ${message}`);
+    };
+
+    return { errors: combine('errors'), warnings: combine('warnings') };
+}
+
+// The Pipeliner space a webhook came from, if the payload says
+function spaceIdOf(body) {
+    const spaceId = body?.space_id || body?.spaceId || body?.data?.space_id || body?.data?.spaceId;
+    return spaceId ? String(spaceId) : null;
+}
+
+// Route Pipeliner webhooks to their tenant's app, mounted at /tenants/<id>
+//   /webhook/pipeliner/<id> - by path
+//   /webhook/pipeliner      - by the Pipeliner space ID in the payload
+// Routed requests are rewritten to the tenant's own /webhook/pipeliner, so its webhook secret is the one checked
+function createTenantRouter(integrations) {
+    const router = express.Router();
+    const bySpace = new Map();
+    for (const [id, integration] of integrations) {
+        if (integration.config.pipeliner.spaceId) bySpace.set(String(integration.config.pipeliner.spaceId), id);
+    }
+
+    function routeTo(id, req, next) {
+        const query = req.url.slice(req.path.length);
+        req.url = `/tenants/${id}/webhook/pipeliner${query}`;
+        next();
+    }
+
+    function unrouted(req, res, error) {
+        logger.warn('Pipeliner webhook not routed to a tenant', { path: req.path, spaceId: spaceIdOf(req.body) });
+        metrics.webhooksReceived.inc({ source: 'pipeliner', entity: req.body?.entity || 'unknown', action: req.body?.action || 'unknown', outcome: 'unrouted' });
+        res.status(404).json({ success: false, error });
+    }
+
+    router.post('/webhook/pipeliner/:tenant', (req, res, next) => {
+        if (!integrations.has(req.params.tenant)) return unrouted(req, res, `Unknown tenant "${req.params.tenant}"`);
+        routeTo(req.params.tenant, req, next);
+    });
+
+    // The body is parsed here to find the space - the tenant's app keeps the raw body for its signature check
+    router.post('/webhook/pipeliner', express.json({ verify: captureRawBody }), (req, res, next) => {
+        const spaceId = spaceIdOf(req.body);
+        if (!spaceId) return unrouted(req, res, 'No Pipeliner space ID in the payload - send it to /webhook/pipeliner/<tenant> instead');
+        if (!bySpace.has(spaceId)) return unrouted(req, res, `No tenant for Pipeliner space "${spaceId}"`);
+        routeTo(bySpace.get(spaceId), req, next);
+    });
+
+    for (const [id, integration] of integrations) {
+        router.use(`/tenants/${id}`, integration.app);
+    }
+
+    return router;
+}
+
+module.exports = {
+    loadTenants,
+    tenantConfig,
+    validateTenantConfigs,
+    createTenantRouter
+};
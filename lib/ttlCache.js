@@ -0,0 +1,52 @@
+// Tiny in-memory cache where every entry expires after a fixed time
+
+function createTtlCache({ ttlMs = 60 * 1000, maxEntries = 1000 } = {}) {
+    const entries = new Map();
+
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    function set(key, value, entryTtlMs = ttlMs) {
+        // Maps keep insertion order, so the first key is the oldest
+        if (entries.size >= maxEntries && !entries.has(key)) {
+            entries.delete(entries.keys().next().value);
+        }
+        entries.set(key, { value, expiresAt: Date.now() + entryTtlMs });
+        return value;
+    }
+
+    // Return the cached value, or load it and cache the result
+    // Concurrent callers share the same pending load
+    async function wrap(key, load) {
+        const cached = get(key);
+        if (cached !== undefined) return cached;
+
+        const pending = load();
+        set(key, pending);
+        try {
+            const value = await pending;
+            set(key, value);
+            return value;
+        } catch (error) {
+            entries.delete(key);
+            throw error;
+        }
+    }
+
+    return {
+        get,
+        set,
+        wrap,
+        delete: key => entries.delete(key),
+        clear: () => entries.clear()
+    };
+}
+
+module.exports = { createTtlCache };
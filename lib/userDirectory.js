@@ -0,0 +1,124 @@
+// Pipeliner user -> Asana user lookup, and sales unit -> Asana team and project members
+// Users are matched by email; the directory file overrides that for people whose emails differ
+
+const fs = require('fs');
+const { AsanaNotFoundError } = require('./asanaClient');
+const { logger } = require('./logger');
+const { createTtlCache } = require('./ttlCache');
+
+const GID_PATTERN = /^\d+$/;
+const EMPTY_DIRECTORY = { users: {}, salesUnits: {}, default: {} };
+
+// Load and validate the directory file (a missing file just means email lookups only)
+// {
+//   "users": { "<Pipeliner owner ID or email>": "<Asana email or user GID>" },
+//   "salesUnits": { "<sales unit name>": { "team": "<team GID>", "members": [...], "followers": [...] } },
+//   "default": { "members": [...], "followers": [...] }
+// }
+function loadUserDirectory(filePath) {
+    if (!fs.existsSync(filePath)) return EMPTY_DIRECTORY;
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8')) || {};
+    const directory = { ...EMPTY_DIRECTORY, ...parsed };
+    const problems = [];
+
+    for (const [name, unit] of Object.entries(directory.salesUnits)) {
+        if (unit.team && !GID_PATTERN.test(String(unit.team))) problems.push(`sales unit "${name}" has an invalid team GID "${unit.team}"`);
+    }
+    for (const [name, people] of [['default', directory.default], ...Object.entries(directory.salesUnits)]) {
+        for (const list of ['members', 'followers']) {
+            if (people[list] !== undefined && !Array.isArray(people[list])) problems.push(`${name}.${list} must be a list`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid user directory in ${filePath}: ${problems.join('; ')}`);
+    }
+
+    // Keys are matched without regard to case
+    return {
+        ...directory,
+        users: Object.fromEntries(Object.entries(directory.users).map(([key, value]) => [key.toLowerCase(), value])),
+        salesUnits: Object.fromEntries(Object.entries(directory.salesUnits).map(([key, value]) => [key.toLowerCase(), value]))
+    };
+}
+
+function createUserDirectory({ asana, directory = EMPTY_DIRECTORY, defaultTeamId = null, cacheTtlMs = 60 * 60 * 1000 }) {
+    const users = createTtlCache({ ttlMs: cacheTtlMs });
+
+    // Asana user for an email address, or null when there is no such user
+    // Asana accepts an email anywhere a user GID is expected, so this is a single request
+    function findUserByEmail(email) {
+        if (!email) return Promise.resolve(null);
+        const key = String(email).trim().toLowerCase();
+
+        return users.wrap(key, async () => {
+            try {
+                return await asana.get(`/users/${encodeURIComponent(key)}`, { opt_fields: 'name,email' });
+            } catch (error) {
+                if (error instanceof AsanaNotFoundError) {
+                    logger.warn('No Asana user found for email', { email: key });
+                    return null;
+                }
+                throw error;
+            }
+        });
+    }
+
+    // A directory value - an Asana user GID is used as is, anything else is looked up as an email
+    async function findUser(value) {
+        if (!value) return null;
+        if (GID_PATTERN.test(String(value))) return { gid: String(value) };
+        return findUserByEmail(value);
+    }
+
+    // The Asana user for an opportunity or activity owner - directory entries (by owner ID, then email) win
+    async function findOwner({ ownerId, ownerEmail } = {}) {
+        const override = (ownerId && directory.users[String(ownerId).toLowerCase()]) ||
+            (ownerEmail && directory.users[String(ownerEmail).toLowerCase()]);
+        return findUser(override || ownerEmail);
+    }
+
+    function salesUnitFor(data) {
+        return (data?.salesUnit && directory.salesUnits[String(data.salesUnit).toLowerCase()]) || {};
+    }
+
+    // The team new projects go in - the sales unit's team, or ASANA_TEAM_ID
+    function teamFor(data) {
+        const { team } = salesUnitFor(data);
+        return team ? String(team) : defaultTeamId;
+    }
+
+    // Owner, members and followers for an opportunity's project, as Asana user GIDs
+    // The owner is also a member and follower; people who can't be found are left out
+    async function projectPeople(data) {
+        const unit = salesUnitFor(data);
+        const owner = await findOwner(data);
+
+        async function resolve(list) {
+            const found = await Promise.all((list || []).map(findUser));
+            return found.filter(Boolean).map(user => user.gid);
+        }
+        const ownerGids = owner ? [owner.gid] : [];
+        const members = [...ownerGids, ...(await resolve(directory.default.members)), ...(await resolve(unit.members))];
+        const followers = [...ownerGids, ...(await resolve(directory.default.followers)), ...(await resolve(unit.followers))];
+
+        return {
+            owner: owner ? owner.gid : null,
+            members: [...new Set(members)],
+            followers: [...new Set(followers)]
+        };
+    }
+
+    return {
+        findUserByEmail,
+        findOwner,
+        teamFor,
+        projectPeople
+    };
+}
+
+module.exports = {
+    loadUserDirectory,
+    createUserDirectory
+};
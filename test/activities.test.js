@@ -0,0 +1,98 @@
+// Activity webhooks end to end - the task in the opportunity's project follows the activity
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { sequence, webhook } = require('./fixtures');
+
+describe('activities', () => {
+    let harness;
+
+    afterEach(() => harness.stop());
+
+    describe('with ACTIVITY_DELETE_POLICY=cancel (the default)', () => {
+        beforeEach(async () => {
+            harness = await startHarness();
+        });
+
+        it('creates, updates, completes and cancels the activity\'s task', async () => {
+            const { asana, integration } = harness;
+            const dana = asana.addUser({ name: 'Dana Reyes', email: 'dana.reyes@example.com' });
+            const [opportunity, created, updated, completed, deleted] = sequence('activity-lifecycle');
+
+            await harness.replay([opportunity, created]);
+            const { projectGid } = await integration.mappingStore.get('opp-1001');
+            const link = await integration.activityTaskStore.get('act-2001');
+            assert.equal(link.projectGid, projectGid);
+
+            let task = asana.state.tasks.get(link.taskGid);
+            assert.equal(task.name, 'Site walkdown with maintenance');
+            assert.equal(task.due_on, '2026-01-20');
+            assert.equal(task.assignee, dana.gid);
+            assert.match(task.notes, /^Type: Meeting\nPriority: High\nOwner: Dana Reyes\n\nConfirm panel locations/);
+
+            await harness.replay([updated]);
+            task = asana.state.tasks.get(link.taskGid);
+            assert.equal(task.name, 'Site walkdown with maintenance (rescheduled)');
+            assert.equal(task.due_on, '2026-01-27');
+            assert.equal(task.completed, false);
+
+            await harness.replay([completed]);
+            assert.equal(asana.state.tasks.get(link.taskGid).completed, true);
+
+            await harness.replay([deleted]);
+            task = asana.state.tasks.get(link.taskGid);
+            assert.equal(task.name, '[CANCELLED] Site walkdown with maintenance (rescheduled)');
+            assert.equal(await integration.activityTaskStore.get('act-2001'), null);
+        });
+
+        it('recreates the task when it was deleted in Asana', async () => {
+            const { asana, integration } = harness;
+            const [opportunity, created, updated] = sequence('activity-lifecycle');
+            await harness.replay([opportunity, created]);
+            const first = await integration.activityTaskStore.get('act-2001');
+            asana.state.tasks.delete(first.taskGid);
+
+            await harness.replay([updated]);
+
+            const second = await integration.activityTaskStore.get('act-2001');
+            assert.notEqual(second.taskGid, first.taskGid);
+            assert.equal(asana.state.tasks.get(second.taskGid).name, 'Site walkdown with maintenance (rescheduled)');
+        });
+
+        it('skips activities whose opportunity has no project', async () => {
+            await harness.replay([webhook('activity-create')]);
+
+            assert.equal(await harness.integration.activityTaskStore.get('act-2001'), null);
+            assert.equal(harness.asana.state.tasks.size, 0);
+        });
+    });
+
+    describe('with ACTIVITY_DELETE_POLICY=delete and a Sales Inbox', () => {
+        beforeEach(async () => {
+            harness = await startHarness({
+                setup: ({ asana }) => {
+                    asana.addProject({ name: 'Sales Inbox' });
+                },
+                env: ({ asana }) => ({
+                    ACTIVITY_DELETE_POLICY: 'delete',
+                    ASANA_SALES_INBOX_PROJECT_ID: asana.findProjectByName('Sales Inbox').gid
+                })
+            });
+        });
+
+        it('puts activities without an opportunity in the inbox and deletes the task with the activity', async () => {
+            const { asana, integration } = harness;
+            const inbox = asana.findProjectByName('Sales Inbox');
+            const activity = webhook('activity-create', { data: { opportunity_relations: [] } });
+
+            await harness.replay([activity]);
+            const link = await integration.activityTaskStore.get('act-2001');
+            assert.equal(link.projectGid, inbox.gid);
+            assert.deepEqual(asana.tasksOf(inbox.gid).map(t => t.name), ['Site walkdown with maintenance']);
+
+            await harness.replay([webhook('activity-create', { action: 'deleted', event_id: 'evt-activity-delete' })]);
+            assert.equal(asana.state.tasks.has(link.taskGid), false);
+        });
+    });
+});
@@ -0,0 +1,40 @@
+// Pipeliner payload fixtures
+//   pipeliner/webhooks - single webhook bodies as Pipeliner sends them
+//   pipeliner/api      - records as the Pipeliner REST API returns them (for the fake Pipeliner)
+//   sequences          - recorded runs of deliveries, replayed in order by the tests
+// Every load returns a fresh copy, so tests can change what they get
+
+const fs = require('fs');
+const path = require('path');
+
+function readJson(...parts) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, ...parts), 'utf8'));
+}
+
+// A webhook body, e.g. webhook('opportunity-create', { data: { value: 5000 } }) - data is merged into the recorded data
+function webhook(name, { data = {}, ...fields } = {}) {
+    const body = readJson('pipeliner', 'webhooks', `${name}.json`);
+    return { ...body, ...fields, data: { ...body.data, ...data } };
+}
+
+// A Pipeliner API record, e.g. apiRecord('opportunity', { cf_job_status: 'Won' })
+function apiRecord(name, fields = {}) {
+    return { ...readJson('pipeliner', 'api', `${name}.json`), ...fields };
+}
+
+// The deliveries of a recorded sequence, in the order they arrived
+function sequence(name) {
+    return readJson('sequences', `${name}.json`).deliveries;
+}
+
+// Path to a config file the tests run with (custom fields, user directory)
+function configPath(name) {
+    return path.join(__dirname, 'config', name);
+}
+
+module.exports = {
+    webhook,
+    apiRecord,
+    sequence,
+    configPath
+};
@@ -0,0 +1,193 @@
+// Notifications end to end - Teams and Slack incoming webhooks and email, driven by the rules in a notifications file
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { createFakeWebhookReceiver, createFakeSmtpServer } = require('./support/fakeNotificationTargets');
+const { sequence, webhook } = require('./fixtures');
+const { loadNotifications } = require('../lib/notifier');
+
+const PROJECT_NAME = '[J-1001] - Acme Foods - Line 3 Panel Upgrade - (125,000)';
+
+function cardText(post) {
+    return post.attachments[0].content.body.map(block => block.text);
+}
+
+describe('notifications', () => {
+    let harness;
+    let receiver;
+    let smtp;
+    let dir;
+
+    beforeEach(async () => {
+        receiver = createFakeWebhookReceiver();
+        const receiverUrl = await receiver.start();
+        smtp = createFakeSmtpServer();
+        const smtpUrl = await smtp.start();
+
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-'));
+        const notificationsPath = path.join(dir, 'notifications.json');
+        fs.writeFileSync(notificationsPath, JSON.stringify({
+            channels: {
+                sales: { type: 'teams', url: `${receiverUrl}/teams` },
+                ops: { type: 'slack', url: `${receiverUrl}/slack` },
+                pm: { type: 'email', to: ['pm@example.com'], from: 'asana-bot@example.com', smtp: smtpUrl }
+            },
+            rules: [
+                { event: 'projectCreated', channels: ['sales', 'pm'] },
+                { event: 'projectCreated', channels: ['ops'], match: { salesUnit: 'West' } },
+                { event: 'opportunityWon', channels: ['sales'] },
+                { event: 'syncFailed', channels: ['ops'] }
+            ]
+        }));
+
+        harness = await startHarness({ env: { NOTIFICATIONS_PATH: notificationsPath } });
+    });
+    afterEach(async () => {
+        await harness.stop();
+        await receiver.stop();
+        await smtp.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('announces a new project on Teams and by email, with the job number, value, owner and project link', async () => {
+        await harness.replay([webhook('opportunity-create')]);
+        const { projectGid } = await harness.integration.mappingStore.get('opp-1001');
+
+        const [card] = receiver.posts('/teams');
+        assert.deepEqual(cardText(card), [
+            `New Asana project: ${PROJECT_NAME}`,
+            'Job J-1001 for Acme Foods - value 125,000, owner Dana Reyes'
+        ]);
+        assert.deepEqual(card.attachments[0].content.actions, [
+            { type: 'Action.OpenUrl', title: 'Open in Asana', url: `https://app.asana.com/0/${projectGid}/list` }
+        ]);
+
+        assert.equal(smtp.messages.length, 1);
+        const [email] = smtp.messages;
+        assert.deepEqual(email.to, ['pm@example.com']);
+        assert.equal(email.from, 'asana-bot@example.com');
+        assert.equal(email.subject, `New Asana project: ${PROJECT_NAME}`);
+        assert.match(email.text, new RegExp(`Open in Asana: https://app\\.asana\\.com/0/${projectGid}/list`));
+
+        // The West sales unit rule didn't match
+        assert.deepEqual(receiver.posts('/slack'), []);
+    });
+
+    it('announces a win once', async () => {
+        const deliveries = sequence('opportunity-won');
+        await harness.replay(deliveries);
+        const won = deliveries[2];
+        await harness.replay([{ ...won, id: 'evt-won-again', data: { ...won.data, probability: 100, modified: '2026-02-01T08:00:00Z' } }]);
+
+        const titles = receiver.posts('/teams').map(post => cardText(post)[0]);
+        assert.equal(titles.length, 2);
+        assert.match(titles[0], /^New Asana project:/);
+        assert.match(titles[1], /^Won: \[J-1001\] - Acme Foods - Line 3 Panel Upgrade/);
+        assert.match(cardText(receiver.posts('/teams')[1])[1], /^Moved from Quote Sent to Closed Won\. Job J-1001/);
+    });
+
+    it('reports a failed sync on Slack and throttles the repeats', async () => {
+        const { asana } = harness;
+        asana.failNext({ method: 'POST', path: '/projects', status: 400, count: 2 });
+
+        await harness.replay([
+            webhook('opportunity-create', { id: 'evt-fail-1', data: { id: 'opp-fail-1', cf_job_number: 'J-2001' } }),
+            webhook('opportunity-create', { id: 'evt-fail-2', data: { id: 'opp-fail-2', cf_job_number: 'J-2002' } })
+        ]);
+        assert.equal((await harness.integration.jobQueue.stats()).failed, 2);
+
+        const slack = receiver.posts('/slack');
+        assert.equal(slack.length, 1);
+        assert.match(slack[0].text, /^\*Pipeliner sync failed: Opportunity create opp-fail-1\*\nLine 3 Panel Upgrade, job J-2001 - gave up after 1 attempt\(s\): Asana POST \/projects failed \(400\)/);
+        assert.match(slack[0].text, new RegExp(`<${harness.url}/admin/jobs/failed\\|Failed jobs>`));
+
+        const metrics = (await harness.client.get('/metrics')).data;
+        assert.match(metrics, /pipeliner_asana_notifications_total\{tenant="",event="syncFailed",channel="ops",outcome="sent"\} 1/);
+        assert.match(metrics, /pipeliner_asana_notifications_total\{tenant="",event="syncFailed",channel="ops",outcome="throttled"\} 1/);
+    });
+
+    it('keeps going when a channel is down', async () => {
+        receiver.failNext(1, 502);
+        await harness.replay([webhook('opportunity-create')]);
+
+        assert.equal((await harness.integration.jobQueue.stats()).failed, 0);
+        assert.equal(harness.asana.state.projects.size, 1);
+        assert.deepEqual(receiver.posts('/teams'), []);
+        assert.equal(smtp.messages.length, 1);
+    });
+
+    it('lists the notifications in a dry run instead of sending them', async () => {
+        const response = await harness.send(webhook('opportunity-create'), { query: '?dryRun=true' });
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.data.plan.notifications.map(n => [n.channel, n.event, n.type]), [
+            ['sales', 'projectCreated', 'teams'],
+            ['pm', 'projectCreated', 'email']
+        ]);
+        assert.deepEqual(receiver.received, []);
+        assert.equal(smtp.messages.length, 0);
+    });
+});
+
+describe('notifications file', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-file-'));
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    function write(name, contents) {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, JSON.stringify(contents));
+        return filePath;
+    }
+
+    it('fills in ${NAME} references from the environment', () => {
+        const filePath = write('notifications.json', {
+            channels: { ops: { type: 'slack', url: '${SLACK_URL}' } },
+            rules: [{ event: 'syncFailed', channels: ['ops'] }],
+            messages: { syncFailed: { title: 'Sync failed for {{jobNumber}}' } }
+        });
+
+        const settings = loadNotifications(filePath, { SLACK_URL: 'https://hooks.slack.com/services/T0/B0/x' });
+        assert.equal(settings.channels.ops.url, 'https://hooks.slack.com/services/T0/B0/x');
+        assert.equal(settings.messages.syncFailed.title, 'Sync failed for {{jobNumber}}');
+        assert.match(settings.messages.syncFailed.text, /\{\{error\}\}/);
+        assert.equal(settings.throttleMinutes.syncFailed, 60);
+    });
+
+    it('lists every problem', () => {
+        const filePath = write('bad.json', {
+            channels: {
+                ops: { type: 'slack', url: '${SLACK_URL}' },
+                pager: { type: 'sms' },
+                pm: { type: 'email', to: [] }
+            },
+            rules: [
+                { event: 'projectArchived', channels: ['ops'] },
+                { event: 'syncFailed', channels: ['ops', 'oncall'] }
+            ],
+            messages: { projectWon: { title: 'Won' } }
+        });
+
+        assert.throws(() => loadNotifications(filePath, {}), error => {
+            assert.match(error.message, /\$\{SLACK_URL\} is not set/);
+            assert.match(error.message, /channel ops needs the incoming webhook "url"/);
+            assert.match(error.message, /channel pager has an unknown type "sms"/);
+            assert.match(error.message, /channel pm has no "to" address; channel pm has no "from" address; channel pm has no "smtp" server/);
+            assert.match(error.message, /rule #1 has an unknown event "projectArchived"/);
+            assert.match(error.message, /rule #2 uses channel "oncall", which is not defined/);
+            assert.match(error.message, /message for unknown event "projectWon"/);
+            return true;
+        });
+    });
+
+    it('means no notifications when there is no file', () => {
+        assert.deepEqual(loadNotifications(path.join(dir, 'missing.json')).rules, []);
+    });
+});
@@ -0,0 +1,258 @@
+// Opportunity webhooks end to end - recorded sequences replayed against the fake Asana
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { sequence, webhook } = require('./fixtures');
+
+describe('opportunities', () => {
+    let harness;
+
+    afterEach(() => harness.stop());
+
+    describe('with the built-in templates', () => {
+        beforeEach(async () => {
+            harness = await startHarness();
+        });
+
+        it('builds the project from the template and follows the stage to Won', async () => {
+            const { asana, integration } = harness;
+            const responses = await harness.replay('opportunity-won');
+            assert.deepEqual(responses.map(r => r.status), [200, 200, 200]);
+
+            const mapping = await integration.mappingStore.get('opp-1001');
+            const project = asana.state.projects.get(mapping.projectGid);
+            assert.equal(project.name, '[J-1001] - Acme Foods - Line 3 Panel Upgrade - (131,500)');
+            assert.equal(project.team, asana.teamGid);
+            assert.equal(project.color, 'dark-red');
+
+            // Panel shop template, sections and tasks in order
+            const sections = asana.describeSections(project.gid);
+            assert.deepEqual(Object.keys(sections), ['📋 Design & Planning', '🔨 Build Stages', '🧪 Testing', '✅ Complete']);
+            assert.ok(sections['📋 Design & Planning'].includes('PO Received'));
+
+            // Stage rules: Quote Sent completed "Quote Delivered", Closed Won also "PO Received" and posted a status
+            const completed = asana.tasksOf(project.gid).filter(t => t.completed).map(t => t.name).sort();
+            assert.deepEqual(completed, ['PO Received', 'Quote Delivered']);
+            assert.deepEqual(asana.state.statusUpdates.map(s => [s.status_type, s.title]), [['on_track', 'Opportunity won']]);
+
+            // Custom fields follow the latest update
+            assert.equal(project.custom_fields['9000001'], 131500);
+            assert.equal(project.custom_fields['9000003'], 'J-1001');
+            assert.equal(project.custom_fields['9000004'].date, '2026-03-31');
+
+            // Notes carry the managed block with the latest values
+            assert.match(project.html_notes, /Pipeliner details - updated automatically/);
+            assert.match(project.html_notes, /<strong>Stage:<\/strong> Closed Won/);
+            assert.match(project.html_notes, /changed: .*stage/);
+
+            assert.equal(mapping.snapshot.stage, 'Closed Won');
+        });
+
+        it('adds the sales unit members and followers and falls back to unassigned for unknown owners', async () => {
+            const { asana } = harness;
+            const pm = asana.addUser({ name: 'East PM', email: 'pm.east@example.com' });
+            const ops = asana.addUser({ name: 'Operations', email: 'ops@example.com' });
+
+            await harness.replay([webhook('opportunity-create')]);
+
+            const project = asana.findProjectByName('[J-1001] - Acme Foods - Line 3 Panel Upgrade - (125,000)');
+            assert.equal(project.owner, null, 'the owner has no Asana account');
+            assert.deepEqual(project.members, [pm.gid]);
+            assert.deepEqual(project.followers, [ops.gid]);
+
+            // "assignee": "owner" tasks were created unassigned rather than failing the job
+            const tasks = asana.tasksOf(project.gid);
+            assert.ok(tasks.length > 0);
+            assert.ok(tasks.every(task => task.assignee === null));
+        });
+
+        it('gives the project to the new owner when the opportunity is reassigned', async () => {
+            const { asana } = harness;
+            const dana = asana.addUser({ name: 'Dana Reyes', email: 'dana.reyes@example.com' });
+            const lee = asana.addUser({ name: 'Lee Morgan', email: 'lee.morgan@example.com' });
+
+            await harness.replay([
+                webhook('opportunity-create'),
+                webhook('opportunity-update', { data: { owner: { id: 'usr-302', name: 'Lee Morgan' } } })
+            ]);
+
+            const project = asana.state.projects.get((await harness.integration.mappingStore.get('opp-1001')).projectGid);
+            assert.equal(project.owner, lee.gid);
+            assert.ok(project.members.includes(lee.gid) && project.followers.includes(lee.gid));
+            assert.ok(!project.members.includes(dana.gid), 'the previous owner is no longer a member');
+            assert.ok(!project.followers.includes(dana.gid), 'or a follower');
+        });
+
+        it('keeps the previous owner on the project when the directory puts them there anyway', async () => {
+            const { asana } = harness;
+            const dana = asana.addUser({ name: 'Dana Reyes', email: 'ops@example.com' });
+            const lee = asana.addUser({ name: 'Lee Morgan', email: 'lee.morgan@example.com' });
+
+            await harness.replay([
+                webhook('opportunity-create', { data: { owner: { id: 'usr-301', name: 'Dana Reyes', email: 'ops@example.com' } } }),
+                webhook('opportunity-update', { data: { owner: { id: 'usr-302', name: 'Lee Morgan' } } })
+            ]);
+
+            const project = asana.state.projects.get((await harness.integration.mappingStore.get('opp-1001')).projectGid);
+            assert.equal(project.owner, lee.gid);
+            assert.ok(project.followers.includes(dana.gid), 'still a default follower');
+            assert.ok(!project.members.includes(dana.gid));
+        });
+
+        it('creates the project when the first event for an opportunity is an update', async () => {
+            await harness.replay([webhook('opportunity-update')]);
+
+            const mapping = await harness.integration.mappingStore.get('opp-1001');
+            assert.ok(harness.asana.state.projects.has(mapping.projectGid));
+            assert.equal(harness.asana.state.projects.size, 1);
+        });
+
+        it('archives the project on delete and brings it back on restore', async () => {
+            const { asana, integration } = harness;
+            await harness.replay('opportunity-delete-restore');
+
+            const mapping = await integration.mappingStore.get('opp-1001');
+            const project = asana.state.projects.get(mapping.projectGid);
+            const archiveCalls = asana.requests.filter(r => r.method === 'PUT' && r.path === `/projects/${project.gid}` && r.body?.archived !== undefined);
+            assert.deepEqual(archiveCalls.map(r => r.body.archived), [true, false]);
+            assert.equal(project.archived, false);
+            assert.equal(mapping.removedAs, null);
+            assert.ok(mapping.restoredAt);
+        });
+
+        it('restores the mapping when the project was deleted in Asana meanwhile', async () => {
+            const { asana, integration } = harness;
+            const [create, remove, restore] = sequence('opportunity-delete-restore');
+            await harness.replay([create, remove]);
+            asana.state.projects.delete((await integration.mappingStore.get('opp-1001')).projectGid);
+
+            await harness.replay([restore]);
+
+            assert.equal((await integration.jobQueue.stats()).failed, 0);
+            const mapping = await integration.mappingStore.get('opp-1001');
+            assert.equal(mapping.removedAs, null);
+            assert.ok(mapping.restoredAt);
+        });
+
+        it('gives the merged opportunity\'s project and snapshot to a kept opportunity without one', async () => {
+            const { integration } = harness;
+            const [, duplicate, merge] = sequence('opportunity-merge');
+            await harness.replay([duplicate, merge]);
+
+            const kept = await integration.mappingStore.get('opp-1001');
+            assert.equal(await integration.mappingStore.get('opp-1002'), null);
+            assert.deepEqual(kept.mergedFrom, ['opp-1002']);
+            assert.equal(kept.snapshot.name, 'Line 3 Panels (duplicate)');
+        });
+
+        it('moves the merged opportunity\'s tasks into the kept project', async () => {
+            const { asana, integration } = harness;
+            await harness.replay('opportunity-merge');
+
+            const kept = await integration.mappingStore.get('opp-1001');
+            assert.equal(await integration.mappingStore.get('opp-1002'), null);
+            assert.deepEqual(kept.mergedFrom, ['opp-1002']);
+
+            const merged = asana.findProjectByName('Acme Foods - Line 3 Panels (duplicate) - (120,000)');
+            assert.equal(merged.archived, true);
+            assert.equal(asana.tasksOf(merged.gid).length, 0);
+
+            // Both copies of the service template's tasks, in the same sections
+            const sections = asana.describeSections(kept.projectGid);
+            assert.deepEqual(sections['📋 Planning'], ['PO Received', 'Schedule Site Visit', 'PO Received', 'Schedule Site Visit']);
+        });
+    });
+
+    describe('with OPPORTUNITY_DELETE_POLICY=rename', () => {
+        beforeEach(async () => {
+            harness = await startHarness({ env: { OPPORTUNITY_DELETE_POLICY: 'rename' } });
+        });
+
+        it('marks the project deleted with a status update instead of archiving it', async () => {
+            const { asana } = harness;
+            await harness.replay([
+                webhook('opportunity-create'),
+                webhook('opportunity-create', { event: 'Opportunity.Delete', id: 'evt-delete' })
+            ]);
+
+            const [project] = asana.state.projects.values();
+            assert.equal(project.name, '[DELETED] [J-1001] - Acme Foods - Line 3 Panel Upgrade - (125,000)');
+            assert.equal(project.archived, false);
+            assert.deepEqual(asana.state.statusUpdates.map(s => s.status_type), ['on_hold']);
+        });
+    });
+
+    describe('with an Asana template project', () => {
+        beforeEach(async () => {
+            harness = await startHarness({
+                setup: ({ asana }) => {
+                    asana.addTemplateProject('Job template', { 'To do': ['Kickoff', 'PO Received'], Done: [] });
+                },
+                env: ({ asana }) => ({ ASANA_TEMPLATE_PROJECT_ID: asana.findProjectByName('Job template').gid })
+            });
+        });
+
+        it('duplicates the template and waits for the job before applying name and notes', async () => {
+            const { asana, integration } = harness;
+            await harness.replay([webhook('opportunity-create')]);
+
+            const mapping = await integration.mappingStore.get('opp-1001');
+            assert.ok(mapping.asanaJobGid);
+            assert.ok(asana.requests.some(r => r.method === 'GET' && r.path === `/jobs/${mapping.asanaJobGid}`));
+
+            const project = asana.state.projects.get(mapping.projectGid);
+            assert.equal(project.name, '[J-1001] - Acme Foods - Line 3 Panel Upgrade - (125,000)');
+            assert.match(project.html_notes, /Pipeliner details/);
+            assert.deepEqual(asana.describeSections(project.gid), { 'To do': ['Kickoff', 'PO Received'], Done: [] });
+        });
+
+        it('handles other webhooks while Asana is still copying the template', async () => {
+            const { asana, integration } = harness;
+            asana.slowJobs(5);
+            await harness.send(webhook('opportunity-create'));
+            // The first event for this one is an update, which creates the project too
+            await harness.send(webhook('opportunity-update', { id: 'evt-second', data: { id: 'opp-1002', cf_job_number: 'J-1002' } }));
+            await harness.waitForIdle();
+
+            const first = await integration.mappingStore.get('opp-1001');
+            const second = await integration.mappingStore.get('opp-1002');
+            const checksOf = mapping => asana.requests.filter(r => r.method === 'GET' && r.path === `/jobs/${mapping.asanaJobGid}`);
+            const jobChecks = checksOf(first);
+            assert.equal(jobChecks.length, 6);
+            assert.equal(checksOf(second).length, 6);
+            // The second copy was started while the first one was still being checked on
+            const secondCopy = asana.requests.findIndex(r => r.method === 'POST' && r.path.endsWith('/duplicate') && r.body.name.includes('J-1002'));
+            assert.ok(secondCopy < asana.requests.lastIndexOf(jobChecks[jobChecks.length - 1]));
+
+            assert.equal((await integration.jobQueue.stats()).failed, 0);
+            assert.equal(asana.state.projects.get(first.projectGid).name, '[J-1001] - Acme Foods - Line 3 Panel Upgrade - (125,000)');
+            assert.equal(asana.state.projects.get(second.projectGid).name, '[J-1002] - Acme Foods - Line 3 Panel Upgrade - (125,000)');
+            assert.equal(second.snapshot.stage, 'Quote Sent');
+        });
+    });
+
+    describe('with an Asana project template', () => {
+        beforeEach(async () => {
+            harness = await startHarness({
+                setup: ({ asana }) => {
+                    asana.addProjectTemplate('Job template', { Planning: ['Kickoff'] }, { requestedDates: ['Start date'] });
+                },
+                env: ({ asana }) => ({
+                    ASANA_TEMPLATE_PROJECT_ID: Array.from(asana.state.projectTemplates.keys())[0],
+                    ASANA_TEMPLATE_TYPE: 'project_template'
+                })
+            });
+        });
+
+        it('instantiates it with every requested date set to the close date', async () => {
+            const { asana } = harness;
+            await harness.replay([webhook('opportunity-create')]);
+
+            const instantiate = asana.requests.find(r => r.path.endsWith('/instantiateProject'));
+            assert.deepEqual(instantiate.body.requested_dates.map(d => d.value), ['2026-03-31']);
+            const project = asana.findProjectByName('[J-1001] - Acme Foods - Line 3 Panel Upgrade - (125,000)');
+            assert.deepEqual(asana.describeSections(project.gid), { Planning: ['Kickoff'] });
+        });
+    });
+});
@@ -0,0 +1,149 @@
+// With the Pipeliner API configured - webhooks are enriched from it, and Asana task completions are pushed back
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { apiRecord } = require('./fixtures');
+
+describe('Pipeliner API', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startHarness({
+            pipeliner: true,
+            setup: ({ pipeliner }) => {
+                pipeliner.add('Opportunities', apiRecord('opportunity'));
+                pipeliner.add('Accounts', apiRecord('account'));
+                pipeliner.add('Contacts', apiRecord('contact'));
+                pipeliner.add('Clients', apiRecord('client'));
+                pipeliner.add('Steps', apiRecord('step'));
+            }
+        });
+    });
+    afterEach(() => harness.stop());
+
+    it('fills in what the webhook left out from the API', async () => {
+        const { asana, integration } = harness;
+        await harness.replay([{ event: 'Opportunity.Create', id: 'evt-thin', data: { id: 'opp-1001' } }]);
+
+        const { projectGid, snapshot } = await integration.mappingStore.get('opp-1001');
+        const project = asana.state.projects.get(projectGid);
+        assert.equal(project.name, '[J-1001] - Acme Foods - Line 3 Panel Upgrade - (125,000)');
+        assert.match(project.html_notes, /<strong>Primary Contact:<\/strong> Sam Patel \(sam\.patel@acmefoods\.example, \+1 555 0101\)/);
+        assert.match(project.html_notes, /<strong>Stage:<\/strong> Qualification/);
+        assert.match(project.html_notes, /View in Pipeliner/);
+        assert.equal(snapshot.ownerEmail, 'dana.reyes@example.com');
+        assert.equal(snapshot.equipmentType, 'MCC');
+    });
+
+    it('registers an Asana webhook for the project and pushes milestone completions back', async () => {
+        const { asana, pipeliner, integration } = harness;
+        await harness.replay([{ event: 'Opportunity.Create', id: 'evt-create', data: { id: 'opp-1001' } }]);
+        const { projectGid } = await integration.mappingStore.get('opp-1001');
+
+        // The handshake went through our /webhook/asana before the webhook was created
+        const [webhook] = asana.state.webhooks.values();
+        assert.equal(webhook.resource, projectGid);
+        assert.equal((await integration.asanaWebhooks.list())[0].webhookGid, webhook.gid);
+
+        const poReceived = asana.tasksOf(projectGid).find(task => task.name === 'PO Received');
+        const [delivery] = await asana.setTaskCompleted(poReceived.gid);
+        assert.equal(delivery.status, 200);
+        await harness.waitForIdle();
+
+        assert.deepEqual(pipeliner.updates, [{ entity: 'Opportunities', id: 'opp-1001', fields: { jobStatus: 'PO Received' } }]);
+    });
+
+    it('ignores completions of tasks that aren\'t synced, and deliveries with a bad signature', async () => {
+        const { asana, pipeliner, integration } = harness;
+        await harness.replay([{ event: 'Opportunity.Create', id: 'evt-create', data: { id: 'opp-1001' } }]);
+        const { projectGid } = await integration.mappingStore.get('opp-1001');
+
+        const fabrication = asana.tasksOf(projectGid).find(task => task.name === 'Fabrication');
+        await asana.setTaskCompleted(fabrication.gid);
+        await harness.waitForIdle();
+
+        const forged = await harness.client.post(`/webhook/asana?project=${projectGid}`, { events: [] }, { headers: { 'X-Hook-Signature': 'forged' } });
+        assert.equal(forged.status, 401);
+        assert.deepEqual(pipeliner.updates, []);
+    });
+});
+
+describe('Pipeliner API with job status rules', () => {
+    let harness;
+    let dir;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-status-rules-'));
+        const rulesPath = path.join(dir, 'stage-rules.json');
+        fs.writeFileSync(rulesPath, JSON.stringify({
+            rules: [
+                { name: 'On hold', field: 'jobStatus', to: 'On Hold', actions: [{ type: 'postStatusUpdate', status: 'on_hold', title: 'Job on hold' }] },
+                { name: 'Resumed', field: 'jobStatus', from: 'On Hold', to: 'PO Received', actions: [{ type: 'postStatusUpdate', status: 'on_track', title: 'Job resumed' }] }
+            ]
+        }));
+        harness = await startHarness({
+            pipeliner: true,
+            env: { STAGE_RULES_PATH: rulesPath },
+            setup: ({ pipeliner }) => pipeliner.add('Opportunities', apiRecord('opportunity'))
+        });
+    });
+    afterEach(async () => {
+        await harness.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('only ignores the echo of our own change, even when no rule fires for it', async () => {
+        const { asana, integration } = harness;
+        const jobStatus = (id, status) => ({ event: 'Opportunity.Update', id, data: { id: 'opp-1001', cf_job_status: status } });
+        await harness.replay([{ event: 'Opportunity.Create', id: 'evt-create', data: { id: 'opp-1001' } }]);
+        const { projectGid } = await integration.mappingStore.get('opp-1001');
+
+        const poReceived = asana.tasksOf(projectGid).find(task => task.name === 'PO Received');
+        await asana.setTaskCompleted(poReceived.gid);
+        await harness.waitForIdle();
+
+        // The echo, then someone puts the job on hold and takes it off again - to the value we set ourselves
+        await harness.replay([
+            jobStatus('evt-echo', 'PO Received'),
+            jobStatus('evt-hold', 'On Hold'),
+            jobStatus('evt-resume', 'PO Received')
+        ]);
+
+        assert.deepEqual(asana.state.statusUpdates.map(update => update.title), ['Job on hold', 'Job resumed']);
+    });
+});
+
+describe('reconcile', () => {
+    let harness;
+    let dataDir;
+
+    beforeEach(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reconcile-'));
+        harness = await startHarness({
+            pipeliner: true,
+            env: { STORAGE_DRIVER: 'json', DATA_DIR: dataDir },
+            setup: ({ pipeliner }) => pipeliner.add('Opportunities', apiRecord('opportunity'))
+        });
+    });
+    afterEach(async () => {
+        await harness.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('refuses to change anything while the server is using the data directory', async () => {
+        const { asana, integration } = harness;
+        const releaseServerLock = integration.lockDataDir('server');
+
+        await assert.rejects(integration.runReconcileCommand([]), /is in use by the server \(process \d+/);
+        assert.equal(asana.state.projects.size, 0);
+
+        releaseServerLock();
+        assert.equal(await integration.runReconcileCommand([]), 0);
+        assert.equal(asana.state.projects.size, 1);
+        assert.equal(fs.existsSync(path.join(dataDir, 'server.lock')), false);
+    });
+});
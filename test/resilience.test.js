@@ -0,0 +1,114 @@
+// Rate limits and failures from Asana - jobs retry without duplicating anything, and dead-lettered jobs can be replayed
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { webhook } = require('./fixtures');
+
+// Service template, so there are only a few sections and tasks
+const serviceCall = (fields = {}) => webhook('opportunity-create', { data: { cf_project_type: 'Service Call', ...fields } });
+
+describe('Asana failures', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startHarness();
+    });
+    afterEach(() => harness.stop());
+
+    it('waits out rate limits and creates the project once', async () => {
+        const { asana, integration } = harness;
+        asana.rateLimit({ method: 'POST', path: '/projects', count: 2, retryAfter: 0 });
+
+        await harness.replay([serviceCall()]);
+
+        const attempts = asana.requests.filter(r => r.method === 'POST' && r.path === '/projects');
+        assert.equal(attempts.length, 3);
+        assert.equal(asana.state.projects.size, 1);
+        assert.equal((await integration.jobQueue.stats()).failed, 0);
+    });
+
+    it('retries only the sections and tasks that failed', async () => {
+        const { asana, integration } = harness;
+        asana.failNext({ method: 'POST', path: /\/sections$/, status: 500 });
+        asana.failNext({ method: 'POST', path: '/tasks', status: 503 });
+
+        await harness.replay([serviceCall()]);
+
+        // Nothing is missing or doubled - the retried ones just come last
+        const { projectGid } = await integration.mappingStore.get('opp-1001');
+        const sections = asana.describeSections(projectGid);
+        for (const tasks of Object.values(sections)) tasks.sort();
+        assert.deepEqual(sections, {
+            '📋 Planning': ['PO Received', 'Schedule Site Visit'],
+            '🔧 Service': ['Service Report', 'Site Visit'],
+            '✅ Complete': ['Job Complete']
+        });
+        assert.equal(asana.state.projects.size, 1);
+    });
+
+    it('dead-letters a job Asana rejects, and replays it from /admin', async () => {
+        const { asana, integration } = harness;
+        asana.failNext({ method: 'POST', path: '/projects', status: 400 });
+
+        const [response] = await harness.replay([serviceCall()]);
+
+        const [failed] = await integration.jobQueue.list({ status: 'failed' });
+        assert.equal(failed.id, response.data.jobId);
+        assert.equal(failed.attempts, 1, 'validation errors are not retried');
+        assert.equal(asana.state.projects.size, 0);
+
+        const replay = await harness.client.post(`/admin/jobs/${failed.id}/replay`, {}, { headers: { 'X-Admin-Key': harness.adminKey } });
+        assert.equal(replay.status, 200);
+        await harness.waitForIdle();
+
+        assert.equal(asana.state.projects.size, 1);
+        assert.equal((await integration.jobQueue.stats()).failed, 0);
+    });
+
+    it('holds later webhooks for an opportunity behind its dead-lettered job until it is replayed', async () => {
+        const { asana, integration } = harness;
+        asana.failNext({ method: 'POST', path: '/projects', status: 400 });
+        await harness.replay([serviceCall()]);
+        const [failed] = await integration.jobQueue.list({ status: 'failed' });
+
+        await harness.send(webhook('opportunity-update', { data: { cf_project_type: 'Service Call', name: 'Line 3 Service Visit' } }));
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.equal(asana.state.projects.size, 0, 'the update waits for the create');
+        assert.equal((await integration.jobQueue.stats()).pending, 1);
+
+        await integration.jobQueue.replay(failed.id);
+        await harness.waitForIdle();
+
+        const [project] = asana.state.projects.values();
+        assert.equal(asana.state.projects.size, 1);
+        assert.match(project.name, /Line 3 Service Visit/);
+    });
+
+    it('refuses admin writes from another site that only carry the browser\'s login', async () => {
+        const { asana, integration } = harness;
+        asana.failNext({ method: 'POST', path: '/projects', status: 400 });
+        await harness.replay([serviceCall()]);
+        const [failed] = await integration.jobQueue.list({ status: 'failed' });
+
+        // A plain text body isn't a form post, but the browser still sends the Basic auth credentials with it
+        const crossSite = {
+            auth: { username: 'admin', password: harness.adminKey },
+            headers: { 'Content-Type': 'text/plain', Origin: 'https://evil.example' }
+        };
+        const replay = await harness.client.post(`/admin/jobs/${failed.id}/replay`, 'x', crossSite);
+        assert.equal(replay.status, 403);
+
+        await integration.mappingStore.set('opp-2002', '1200000000000099');
+        const removed = await harness.client.post('/admin/mappings/opp-2002/delete', 'x', crossSite);
+        assert.equal(removed.status, 403);
+        assert.ok(await integration.mappingStore.get('opp-2002'));
+        assert.equal((await integration.jobQueue.stats()).failed, 1);
+
+        const sameSite = await harness.client.post(`/admin/jobs/${failed.id}/replay`, 'x', {
+            ...crossSite,
+            headers: { ...crossSite.headers, Origin: harness.url }
+        });
+        assert.equal(sameSite.status, 200);
+    });
+});
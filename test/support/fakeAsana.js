@@ -0,0 +1,497 @@
+// In-process fake of the Asana API - enough of it for the integration to run end to end
+// Projects, sections, tasks, custom fields, duplication jobs, status updates and webhooks (with the real
+// handshake and signed deliveries), plus switches for rate limits and failures
+
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+
+function createFakeAsana({ token = 'test-token', workspaceGid = '100', teamGid = '200' } = {}) {
+    let nextGid = 1000;
+    const gid = () => String(nextGid++);
+
+    const state = {
+        users: new Map(),
+        workspaces: new Map([[workspaceGid, { gid: workspaceGid, name: 'Test Workspace' }]]),
+        teams: new Map([[teamGid, { gid: teamGid, name: 'Projects' }]]),
+        projects: new Map(),
+        projectTemplates: new Map(),
+        sections: new Map(),
+        tasks: new Map(),
+        customFields: new Map(),
+        statusUpdates: [],
+        jobs: new Map(),
+        webhooks: new Map()
+    };
+    // Every request made, in order - { method, path, query, body }
+    const requests = [];
+    // Responses to send instead of handling the next matching requests
+    const interruptions = [];
+    // How many times each new template job answers "in_progress" before it has succeeded (see slowJobs)
+    let jobChecks = 0;
+
+    const me = addUser({ name: 'Integration Bot', email: 'bot@example.com' });
+
+    function addUser({ name, email }) {
+        const user = { gid: gid(), resource_type: 'user', name, email };
+        state.users.set(user.gid, user);
+        return user;
+    }
+
+    function addProject(fields = {}) {
+        const project = {
+            gid: gid(),
+            resource_type: 'project',
+            name: 'Untitled project',
+            html_notes: '<body></body>',
+            color: null,
+            archived: false,
+            workspace: workspaceGid,
+            team: teamGid,
+            owner: null,
+            members: [],
+            followers: [],
+            custom_field_settings: [],
+            custom_fields: {},
+            ...fields
+        };
+        state.projects.set(project.gid, project);
+        return project;
+    }
+
+    function addSection(projectGid, name) {
+        const section = { gid: gid(), resource_type: 'section', name, project: projectGid };
+        state.sections.set(section.gid, section);
+        return section;
+    }
+
+    function addTask(fields = {}, memberships = []) {
+        const task = {
+            gid: gid(),
+            resource_type: 'task',
+            name: '',
+            notes: '',
+            completed: false,
+            assignee: null,
+            due_on: null,
+            parent: null,
+            ...fields,
+            memberships
+        };
+        state.tasks.set(task.gid, task);
+        return task;
+    }
+
+    // A custom field definition - enum options are given by name
+    function addCustomField({ gid: fieldGid = gid(), name, type = 'text', options = [] }) {
+        const field = {
+            gid: fieldGid,
+            resource_type: 'custom_field',
+            name,
+            resource_subtype: type,
+            enum_options: options.map(option => ({ gid: gid(), name: option, enabled: true }))
+        };
+        state.customFields.set(field.gid, field);
+        return field;
+    }
+
+    // A template project (duplicated) with its sections and tasks - { "Section": ["Task", ...] }
+    function addTemplateProject(name, sections = {}) {
+        const project = addProject({ name });
+        copySections(sections, project.gid);
+        return project;
+    }
+
+    // A project template (instantiated) - requestedDates are the date variables it asks for
+    function addProjectTemplate(name, sections = {}, { requestedDates = [] } = {}) {
+        const template = {
+            gid: gid(),
+            resource_type: 'project_template',
+            name,
+            sections,
+            requested_dates: requestedDates.map(dateName => ({ gid: gid(), name: dateName }))
+        };
+        state.projectTemplates.set(template.gid, template);
+        return template;
+    }
+
+    function copySections(sections, projectGid) {
+        for (const [sectionName, taskNames] of Object.entries(sections)) {
+            const section = addSection(projectGid, sectionName);
+            for (const taskName of taskNames) {
+                addTask({ name: taskName }, [{ project: projectGid, section: section.gid }]);
+            }
+        }
+    }
+
+    // Sections and top-level tasks of an existing project, in the shape addTemplateProject takes
+    function describeSections(projectGid) {
+        const sections = {};
+        for (const section of sectionsOf(projectGid)) {
+            sections[section.name] = tasksOf(projectGid)
+                .filter(task => task.memberships.some(m => m.project === projectGid && m.section === section.gid))
+                .map(task => task.name);
+        }
+        return sections;
+    }
+
+    function sectionsOf(projectGid) {
+        return Array.from(state.sections.values()).filter(section => section.project === projectGid);
+    }
+
+    function tasksOf(projectGid) {
+        return Array.from(state.tasks.values()).filter(task => !task.parent && task.memberships.some(m => m.project === projectGid));
+    }
+
+    function subtasksOf(taskGid) {
+        return Array.from(state.tasks.values()).filter(task => task.parent === taskGid);
+    }
+
+    function findProjectByName(name) {
+        return Array.from(state.projects.values()).find(project => project.name === name) || null;
+    }
+
+    function findUser(idOrEmail) {
+        if (idOrEmail === 'me') return me;
+        const key = String(idOrEmail).toLowerCase();
+        return Array.from(state.users.values()).find(user => user.gid === key || user.email.toLowerCase() === key) || null;
+    }
+
+    // Tasks as the API returns them - projects and memberships reference { gid, name }
+    function taskResponse(task) {
+        return {
+            ...task,
+            projects: task.memberships.map(m => ({ gid: m.project })),
+            memberships: task.memberships.map(m => ({
+                project: { gid: m.project },
+                section: m.section ? { gid: m.section, name: state.sections.get(m.section)?.name } : null
+            })),
+            parent: task.parent ? { gid: task.parent } : null
+        };
+    }
+
+    function projectResponse(project) {
+        return {
+            ...project,
+            custom_fields: Object.entries(project.custom_fields).map(([fieldGid, value]) => ({ gid: fieldGid, value }))
+        };
+    }
+
+    // Make the next count requests (matching method/path, when given) fail with status
+    // A 429 carries Retry-After: retryAfter seconds
+    function failNext({ count = 1, status = 500, method, path, retryAfter = 0 } = {}) {
+        interruptions.push({ remaining: count, status, method, path, retryAfter });
+    }
+
+    function rateLimit({ count = 1, retryAfter = 0, method, path } = {}) {
+        failNext({ count, status: 429, method, path, retryAfter });
+    }
+
+    // Template jobs started from now on are still in progress for the first checks GETs
+    function slowJobs(checks) {
+        jobChecks = checks;
+    }
+
+    function apiError(res, status, message) {
+        return res.status(status).json({ errors: [{ message }] });
+    }
+
+    // Limit/offset pagination, like the real list endpoints
+    function sendPage(req, res, items) {
+        const limit = Number(req.query.limit) || 100;
+        const offset = Number(req.query.offset) || 0;
+        const nextOffset = offset + limit < items.length ? String(offset + limit) : null;
+        res.json({ data: items.slice(offset, offset + limit), next_page: nextOffset ? { offset: nextOffset } : null });
+    }
+
+    const app = express();
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+        requests.push({ method: req.method, path: req.path, query: req.query, body: req.body?.data });
+
+        const interruption = interruptions.find(i => i.remaining > 0 &&
+            (!i.method || i.method === req.method) &&
+            (!i.path || (i.path instanceof RegExp ? i.path.test(req.path) : i.path === req.path)));
+        if (interruption) {
+            interruption.remaining--;
+            if (interruption.status === 429) res.set('Retry-After', String(interruption.retryAfter));
+            return apiError(res, interruption.status, `Fake failure (${interruption.status})`);
+        }
+
+        if (req.get('authorization') !== `Bearer ${token}`) {
+            return apiError(res, 401, 'Not Authorized');
+        }
+        next();
+    });
+
+    // Look up the record named by a route parameter, or answer 404
+    function load(collection, param) {
+        return (req, res, next) => {
+            const record = state[collection].get(req.params[param]);
+            if (!record) return apiError(res, 404, `Unknown object: ${req.params[param]}`);
+            req.record = record;
+            next();
+        };
+    }
+
+    app.get('/users/:user', (req, res) => {
+        const user = findUser(req.params.user);
+        if (!user) return apiError(res, 404, `Unknown user: ${req.params.user}`);
+        res.json({ data: user });
+    });
+    app.get('/workspaces/:workspace', load('workspaces', 'workspace'), (req, res) => res.json({ data: req.record }));
+    app.get('/teams/:team', load('teams', 'team'), (req, res) => res.json({ data: req.record }));
+    app.get('/teams/:team/projects', load('teams', 'team'), (req, res) => {
+        sendPage(req, res, Array.from(state.projects.values()).filter(p => p.team === req.params.team).map(projectResponse));
+    });
+
+    // Projects
+    app.get('/projects', (req, res) => {
+        sendPage(req, res, Array.from(state.projects.values()).filter(p => p.workspace === req.query.workspace).map(projectResponse));
+    });
+    app.post('/projects', (req, res) => {
+        const { notes, ...fields } = req.body.data || {};
+        if (!fields.name) return apiError(res, 400, 'name: Missing input');
+        const project = addProject({ ...fields, html_notes: fields.html_notes || `<body>${notes || ''}</body>` });
+        res.status(201).json({ data: projectResponse(project) });
+    });
+    app.get('/projects/:project', load('projects', 'project'), (req, res) => res.json({ data: projectResponse(req.record) }));
+    app.put('/projects/:project', load('projects', 'project'), (req, res) => {
+        const { custom_fields: customFields, owner, ...fields } = req.body.data || {};
+        if (owner !== undefined) {
+            if (owner !== null && !findUser(owner)) return apiError(res, 400, `owner: Not a recognized ID: ${owner}`);
+            req.record.owner = owner;
+        }
+        for (const [fieldGid, value] of Object.entries(customFields || {})) {
+            if (!req.record.custom_field_settings.includes(fieldGid)) {
+                return apiError(res, 400, `custom_fields: Custom field ${fieldGid} is not on this project`);
+            }
+            req.record.custom_fields[fieldGid] = value;
+        }
+        Object.assign(req.record, fields);
+        res.json({ data: projectResponse(req.record) });
+    });
+    app.delete('/projects/:project', load('projects', 'project'), (req, res) => {
+        state.projects.delete(req.record.gid);
+        res.json({ data: {} });
+    });
+    app.post('/projects/:project/addMembers', load('projects', 'project'), (req, res) => {
+        const members = String(req.body.data.members || '').split(',').filter(Boolean);
+        req.record.members = [...new Set([...req.record.members, ...members])];
+        res.json({ data: projectResponse(req.record) });
+    });
+    app.post('/projects/:project/addFollowers', load('projects', 'project'), (req, res) => {
+        const followers = String(req.body.data.followers || '').split(',').filter(Boolean);
+        req.record.followers = [...new Set([...req.record.followers, ...followers])];
+        res.json({ data: projectResponse(req.record) });
+    });
+    app.post('/projects/:project/removeMembers', load('projects', 'project'), (req, res) => {
+        const members = String(req.body.data.members || '').split(',').filter(Boolean);
+        req.record.members = req.record.members.filter(gid => !members.includes(gid));
+        res.json({ data: projectResponse(req.record) });
+    });
+    app.post('/projects/:project/removeFollowers', load('projects', 'project'), (req, res) => {
+        const followers = String(req.body.data.followers || '').split(',').filter(Boolean);
+        req.record.followers = req.record.followers.filter(gid => !followers.includes(gid));
+        res.json({ data: projectResponse(req.record) });
+    });
+    app.get('/projects/:project/custom_field_settings', load('projects', 'project'), (req, res) => {
+        sendPage(req, res, req.record.custom_field_settings.map(fieldGid => ({ custom_field: { gid: fieldGid } })));
+    });
+    app.post('/projects/:project/addCustomFieldSetting', load('projects', 'project'), (req, res) => {
+        const fieldGid = String(req.body.data.custom_field);
+        if (!state.customFields.has(fieldGid)) return apiError(res, 404, `Unknown custom field: ${fieldGid}`);
+        if (req.record.custom_field_settings.includes(fieldGid)) return apiError(res, 400, 'Custom field already on project');
+        req.record.custom_field_settings.push(fieldGid);
+        res.json({ data: { custom_field: { gid: fieldGid } } });
+    });
+    app.get('/custom_fields/:field', load('customFields', 'field'), (req, res) => res.json({ data: req.record }));
+
+    // Duplication and template instantiation finish straight away - the job is already succeeded when polled
+    app.post('/projects/:project/duplicate', load('projects', 'project'), (req, res) => {
+        const { name, team } = req.body.data || {};
+        const project = addProject({ name, team: team || req.record.team, html_notes: req.record.html_notes });
+        copySections(describeSections(req.record.gid), project.gid);
+        res.status(201).json({ data: addJob(project) });
+    });
+    app.get('/project_templates/:template', load('projectTemplates', 'template'), (req, res) => res.json({ data: req.record }));
+    app.post('/project_templates/:template/instantiateProject', load('projectTemplates', 'template'), (req, res) => {
+        const { name, team, requested_dates: requestedDates = [] } = req.body.data || {};
+        const missing = req.record.requested_dates.filter(d => !requestedDates.some(r => r.gid === d.gid));
+        if (missing.length > 0) return apiError(res, 400, `requested_dates: Missing ${missing.map(d => d.name).join(', ')}`);
+        const project = addProject({ name, team });
+        copySections(req.record.sections, project.gid);
+        res.status(201).json({ data: addJob(project) });
+    });
+    app.get('/jobs/:job', load('jobs', 'job'), (req, res) => {
+        const { pendingChecks, ...job } = req.record;
+        if (pendingChecks > 0) {
+            req.record.pendingChecks--;
+            return res.json({ data: { ...job, status: 'in_progress' } });
+        }
+        res.json({ data: job });
+    });
+
+    function addJob(project) {
+        const job = { gid: gid(), resource_type: 'job', status: 'succeeded', new_project: { gid: project.gid, name: project.name } };
+        state.jobs.set(job.gid, { ...job, pendingChecks: jobChecks });
+        return job;
+    }
+
+    // Sections
+    app.get('/projects/:project/sections', load('projects', 'project'), (req, res) => sendPage(req, res, sectionsOf(req.record.gid)));
+    app.post('/projects/:project/sections', load('projects', 'project'), (req, res) => {
+        res.status(201).json({ data: addSection(req.record.gid, req.body.data.name) });
+    });
+
+    // Tasks
+    app.get('/projects/:project/tasks', load('projects', 'project'), (req, res) => {
+        sendPage(req, res, tasksOf(req.record.gid).map(taskResponse));
+    });
+    app.get('/tasks/:task/subtasks', load('tasks', 'task'), (req, res) => sendPage(req, res, subtasksOf(req.record.gid).map(taskResponse)));
+
+    // Asana rejects an assignee it can't find - the integration falls back to unassigned
+    function createTask(req, res, parent) {
+        const { projects = [], memberships = [], assignee, ...fields } = req.body.data || {};
+        if (assignee && !findUser(assignee)) return apiError(res, 400, `assignee: Not a recognized ID: ${assignee}`);
+        const placed = memberships.map(m => ({ project: String(m.project), section: m.section ? String(m.section) : null }));
+        for (const projectGid of projects.map(String)) {
+            if (!state.projects.has(projectGid)) return apiError(res, 404, `Unknown project: ${projectGid}`);
+            if (!placed.some(m => m.project === projectGid)) placed.push({ project: projectGid, section: null });
+        }
+        const task = addTask({ ...fields, assignee: assignee ? findUser(assignee).gid : null, parent }, placed);
+        res.status(201).json({ data: taskResponse(task) });
+    }
+    app.post('/tasks', (req, res) => createTask(req, res, null));
+    app.post('/tasks/:task/subtasks', load('tasks', 'task'), (req, res) => createTask(req, res, req.record.gid));
+    app.get('/tasks/:task', load('tasks', 'task'), (req, res) => res.json({ data: taskResponse(req.record) }));
+    app.put('/tasks/:task', load('tasks', 'task'), (req, res) => {
+        const { assignee, ...fields } = req.body.data || {};
+        if (assignee && !findUser(assignee)) return apiError(res, 400, `assignee: Not a recognized ID: ${assignee}`);
+        Object.assign(req.record, fields, assignee === undefined ? {} : { assignee: assignee ? findUser(assignee).gid : null });
+        res.json({ data: taskResponse(req.record) });
+    });
+    app.delete('/tasks/:task', load('tasks', 'task'), (req, res) => {
+        state.tasks.delete(req.record.gid);
+        res.json({ data: {} });
+    });
+    app.post('/tasks/:task/addProject', load('tasks', 'task'), (req, res) => {
+        const { project, section } = req.body.data;
+        req.record.memberships = req.record.memberships.filter(m => m.project !== String(project));
+        req.record.memberships.push({ project: String(project), section: section ? String(section) : null });
+        res.json({ data: {} });
+    });
+    app.post('/tasks/:task/removeProject', load('tasks', 'task'), (req, res) => {
+        req.record.memberships = req.record.memberships.filter(m => m.project !== String(req.body.data.project));
+        res.json({ data: {} });
+    });
+
+    app.post('/status_updates', (req, res) => {
+        const update = { gid: gid(), resource_type: 'status_update', ...req.body.data };
+        if (!state.projects.has(String(update.parent))) return apiError(res, 404, `Unknown parent: ${update.parent}`);
+        state.statusUpdates.push(update);
+        res.status(201).json({ data: update });
+    });
+
+    // Webhooks - like Asana, the handshake is sent to the target before the create request returns
+    app.post('/webhooks', async (req, res) => {
+        const { resource, target, filters } = req.body.data || {};
+        const secret = crypto.randomBytes(16).toString('hex');
+        try {
+            const response = await post(target, '', { 'X-Hook-Secret': secret });
+            if (response.status !== 200 || response.headers['x-hook-secret'] !== secret) {
+                return apiError(res, 400, `Handshake with ${target} failed (${response.status})`);
+            }
+        } catch (error) {
+            return apiError(res, 400, `Handshake with ${target} failed: ${error.message}`);
+        }
+        const webhook = { gid: gid(), resource_type: 'webhook', resource: String(resource), target, filters, secret, active: true };
+        state.webhooks.set(webhook.gid, webhook);
+        res.status(201).json({ data: { ...webhook, secret: undefined } });
+    });
+    app.delete('/webhooks/:webhook', load('webhooks', 'webhook'), (req, res) => {
+        state.webhooks.delete(req.record.gid);
+        res.json({ data: {} });
+    });
+
+    app.use((req, res) => apiError(res, 404, `Fake Asana has no route for ${req.method} ${req.path}`));
+
+    // POST to a URL, resolving with { status, headers, body } for any status
+    function post(url, body, headers = {}) {
+        return new Promise((resolve, reject) => {
+            const request = http.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers } }, response => {
+                let text = '';
+                response.on('data', chunk => { text += chunk; });
+                response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: text }));
+            });
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+
+    // Complete (or reopen) a task the way a person would, and deliver the signed event to every
+    // webhook on one of its projects - resolves with the webhook responses
+    async function setTaskCompleted(taskGid, completed = true) {
+        const task = state.tasks.get(String(taskGid));
+        task.completed = completed;
+        const projectGids = task.memberships.map(m => m.project);
+        const deliveries = Array.from(state.webhooks.values()).filter(webhook => projectGids.includes(webhook.resource));
+
+        return Promise.all(deliveries.map(webhook => {
+            const body = JSON.stringify({
+                events: [{
+                    action: 'changed',
+                    resource: { gid: task.gid, resource_type: 'task' },
+                    parent: { gid: webhook.resource, resource_type: 'project' },
+                    change: { field: 'completed', action: 'changed' },
+                    created_at: new Date().toISOString()
+                }]
+            });
+            const signature = crypto.createHmac('sha256', webhook.secret).update(body).digest('hex');
+            return post(webhook.target, body, { 'X-Hook-Signature': signature });
+        }));
+    }
+
+    let server = null;
+
+    // Listen on a free port - resolves with the base URL to use as ASANA_BASE_URL
+    function start() {
+        return new Promise((resolve, reject) => {
+            server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+            server.on('error', reject);
+        });
+    }
+
+    function stop() {
+        return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+
+    return {
+        app,
+        state,
+        requests,
+        token,
+        workspaceGid,
+        teamGid,
+        me,
+        addUser,
+        addProject,
+        addCustomField,
+        addTemplateProject,
+        addProjectTemplate,
+        sectionsOf,
+        tasksOf,
+        subtasksOf,
+        describeSections,
+        findProjectByName,
+        setTaskCompleted,
+        failNext,
+        rateLimit,
+        slowJobs,
+        start,
+        stop
+    };
+}
+
+module.exports = { createFakeAsana };
@@ -0,0 +1,131 @@
+// In-process fakes for notification targets - an incoming webhook receiver (Teams and Slack) and an SMTP server
+
+const net = require('net');
+const express = require('express');
+
+// Records every POST by path; failNext(count, status) makes the next deliveries fail
+function createFakeWebhookReceiver() {
+    const received = [];
+    let failures = { count: 0, status: 500 };
+
+    const app = express();
+    app.use(express.json());
+    app.post('*', (req, res) => {
+        if (failures.count > 0) {
+            failures.count--;
+            return res.status(failures.status).send('Receiver unavailable');
+        }
+        received.push({ path: req.path, body: req.body });
+        res.status(200).send('1');
+    });
+
+    function failNext(count = 1, status = 500) {
+        failures = { count, status };
+    }
+
+    // POSTs received on a path, e.g. posts('/teams')
+    function posts(path) {
+        return received.filter(post => post.path === path).map(post => post.body);
+    }
+
+    let server = null;
+
+    function start() {
+        return new Promise((resolve, reject) => {
+            server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+            server.on('error', reject);
+        });
+    }
+
+    function stop() {
+        return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+
+    return { received, posts, failNext, start, stop };
+}
+
+// Unfold headers and decode a quoted-printable body, so tests can compare plain text
+function parseMessage(data) {
+    const [head, ...rest] = data.split('\r\n\r\n');
+    const headers = {};
+    for (const line of head.replace(/\r\n[ \t]+/g, ' ').split('\r\n')) {
+        const index = line.indexOf(':');
+        if (index > 0) headers[line.slice(0, index).toLowerCase()] = line.slice(index + 1).trim();
+    }
+    let text = rest.join('\r\n\r\n').replace(/^\.\./gm, '.');
+    if (headers['content-transfer-encoding'] === 'quoted-printable') {
+        text = text.replace(/=\r\n/g, '').replace(/=([0-9A-F]{2})/g, (_match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+    return { headers, subject: headers.subject, text: text.replace(/\r\n/g, '\n') };
+}
+
+// Just enough SMTP for nodemailer - no TLS or auth; every message is kept as { from, to, subject, text, headers }
+function createFakeSmtpServer() {
+    const messages = [];
+    const sockets = new Set();
+
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.write('220 fake-smtp ready\r\n');
+
+        let buffer = '';
+        let inData = false;
+        let envelope = { from: null, to: [] };
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            for (;;) {
+                if (inData) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+                    messages.push({ ...envelope, ...parseMessage(buffer.slice(0, end)) });
+                    buffer = buffer.slice(end + 5);
+                    inData = false;
+                    envelope = { from: null, to: [] };
+                    socket.write('250 2.0.0 Queued\r\n');
+                    continue;
+                }
+
+                const index = buffer.indexOf('\r\n');
+                if (index === -1) return;
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                const address = (/<([^>]*)>/.exec(line) || [])[1];
+
+                switch (line.slice(0, 4).toUpperCase()) {
+                    case 'EHLO': socket.write('250-fake-smtp\r\n250 8BITMIME\r\n'); break;
+                    case 'HELO': socket.write('250 fake-smtp\r\n'); break;
+                    case 'MAIL': envelope.from = address; socket.write('250 2.1.0 OK\r\n'); break;
+                    case 'RCPT': envelope.to.push(address); socket.write('250 2.1.5 OK\r\n'); break;
+                    case 'DATA': inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); break;
+                    case 'RSET': envelope = { from: null, to: [] }; socket.write('250 2.0.0 OK\r\n'); break;
+                    case 'NOOP': socket.write('250 2.0.0 OK\r\n'); break;
+                    case 'QUIT': socket.end('221 2.0.0 Bye\r\n'); return;
+                    default: socket.write('502 5.5.2 Command not recognized\r\n');
+                }
+            }
+        });
+    });
+
+    // Listen on a free port - resolves with the URL to use as a channel's "smtp"
+    function start() {
+        return new Promise((resolve, reject) => {
+            server.listen(0, '127.0.0.1', () => resolve(`smtp://127.0.0.1:${server.address().port}`));
+            server.on('error', reject);
+        });
+    }
+
+    // Pooled or idle connections would keep the server open
+    function stop() {
+        for (const socket of sockets) socket.destroy();
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    return { messages, start, stop };
+}
+
+module.exports = {
+    createFakeWebhookReceiver,
+    createFakeSmtpServer
+};
@@ -0,0 +1,115 @@
+// In-process fake of the Pipeliner REST API - entity lookups, filtered lists and PATCH updates
+// Records are kept as the API returns them (snake case), see test/fixtures/pipeliner/api
+
+const express = require('express');
+
+function createFakePipeliner({ spaceId = 'test-space', username = 'api-key', password = 'api-secret' } = {}) {
+    // entity name (e.g. "Opportunities") -> id -> record
+    const entities = new Map();
+    // Every PATCH received, in order - { entity, id, fields }
+    const updates = [];
+    const requests = [];
+
+    function records(entity) {
+        if (!entities.has(entity)) entities.set(entity, new Map());
+        return entities.get(entity);
+    }
+
+    function add(entity, record) {
+        records(entity).set(String(record.id), { ...record });
+        return record;
+    }
+
+    function get(entity, id) {
+        return records(entity).get(String(id)) || null;
+    }
+
+    // filter[field]=value, with filter-op[field]=gte|lte|gt|lt for comparisons
+    function matches(record, query) {
+        return Object.entries(query).every(([key, value]) => {
+            const field = /^filter\[(.+)\]$/.exec(key)?.[1];
+            if (!field) return true;
+            const op = query[`filter-op[${field}]`] || 'eq';
+            const actual = String(record[field] === undefined ? '' : record[field]);
+            switch (op) {
+                case 'gte': return actual >= value;
+                case 'gt': return actual > value;
+                case 'lte': return actual <= value;
+                case 'lt': return actual < value;
+                default: return actual === String(value);
+            }
+        });
+    }
+
+    const app = express();
+    app.use(express.json());
+
+    const base = `/api/v100/rest/spaces/${spaceId}/entities`;
+    const expectedAuth = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+    app.use((req, res, next) => {
+        requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+        if (req.get('authorization') !== expectedAuth) {
+            return res.status(401).json({ success: false, error: 'Unauthorized' });
+        }
+        next();
+    });
+
+    // Cursor pagination - "after" is the index to continue from
+    app.get(`${base}/:entity`, (req, res) => {
+        const all = Array.from(records(req.params.entity).values()).filter(record => matches(record, req.query));
+        const first = Number(req.query.first) || 100;
+        const start = Number(req.query.after) || 0;
+        const end = start + first;
+        res.json({
+            success: true,
+            data: all.slice(start, end),
+            page_info: { has_next_page: end < all.length, end_cursor: String(end) }
+        });
+    });
+
+    app.get(`${base}/:entity/:id`, (req, res) => {
+        const record = get(req.params.entity, req.params.id);
+        if (!record) return res.status(404).json({ success: false, message: `${req.params.entity} ${req.params.id} not found` });
+        res.json({ success: true, data: record });
+    });
+
+    app.patch(`${base}/:entity/:id`, (req, res) => {
+        const record = get(req.params.entity, req.params.id);
+        if (!record) return res.status(404).json({ success: false, message: `${req.params.entity} ${req.params.id} not found` });
+        updates.push({ entity: req.params.entity, id: req.params.id, fields: req.body });
+        Object.assign(record, req.body, { modified: new Date().toISOString() });
+        res.json({ success: true, data: record });
+    });
+
+    app.use((req, res) => res.status(404).json({ success: false, message: `Fake Pipeliner has no route for ${req.method} ${req.path}` }));
+
+    let server = null;
+
+    // Listen on a free port - resolves with the base URL to use as PIPELINER_API_URL
+    function start() {
+        return new Promise((resolve, reject) => {
+            server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+            server.on('error', reject);
+        });
+    }
+
+    function stop() {
+        return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+
+    return {
+        app,
+        spaceId,
+        username,
+        password,
+        updates,
+        requests,
+        add,
+        get,
+        start,
+        stop
+    };
+}
+
+module.exports = { createFakePipeliner };
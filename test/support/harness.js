@@ -0,0 +1,219 @@
+// Runs the integration in-process against the fake Asana (and optionally the fake Pipeliner)
+// startTenantHarness runs it with a tenants file instead, against one fake Asana per tenant
+// Webhooks go over real HTTP to the app, jobs run on the real queue, and tests check the fakes' state
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const { loadConfig, createApp, createMultiTenantApp } = require('../../index');
+const { configureLogger } = require('../../lib/logger');
+const { loadTenants } = require('../../lib/tenants');
+const { createFakeAsana } = require('./fakeAsana');
+const { createFakePipeliner } = require('./fakePipeliner');
+const { sequence, configPath } = require('../fixtures');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const STAGES = ['Qualification', 'Quote Sent', 'Won', 'Lost'];
+const ADMIN_KEY = 'test-admin-key';
+
+// Only errors unless LOG_LEVEL says otherwise, so test output stays readable
+configureLogger({ level: process.env.LOG_LEVEL || 'error' });
+
+function listen(server) {
+    return new Promise((resolve, reject) => {
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+        server.on('error', reject);
+    });
+}
+
+// A started fake Asana with the custom fields in test/fixtures/config/custom-fields.json - resolves with its URL too
+async function startFakeAsana(options) {
+    const asana = createFakeAsana(options);
+    const url = await asana.start();
+    for (const mapping of JSON.parse(fs.readFileSync(configPath('custom-fields.json'), 'utf8')).fields) {
+        asana.addCustomField({ gid: mapping.gid, name: mapping.field, type: mapping.type, options: mapping.type === 'enum' ? STAGES : [] });
+    }
+    return { asana, url };
+}
+
+// Wait until none of the queues has a job pending or processing (dead-lettered jobs don't count)
+async function waitForQueues(queues, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const stats = await Promise.all(queues.map(queue => queue.stats()));
+        if (stats.every(s => s.pending === 0 && s.processing === 0)) return stats;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    const jobs = await Promise.all(queues.map(queue => queue.list()));
+    throw new Error(`Jobs still running after ${timeoutMs}ms: ${JSON.stringify(jobs.flat())}`);
+}
+
+// Start the fakes and the app
+//   env:       extra environment, or a function (fakes) => env for settings that need fake GIDs
+//   pipeliner: also start the fake Pipeliner API (enrichment, completion sync, reconcile)
+//   setup:     (fakes) => void, run before the app is built - e.g. to add template projects
+async function startHarness({ env = {}, pipeliner = false, setup } = {}) {
+    const { asana, url: asanaUrl } = await startFakeAsana();
+    const fakePipeliner = pipeliner ? createFakePipeliner() : null;
+    const pipelinerUrl = fakePipeliner ? await fakePipeliner.start() : null;
+    const fakes = { asana, pipeliner: fakePipeliner };
+
+    if (setup) await setup(fakes);
+
+    // The app's own URL is needed up front - it's where the fake Asana sends webhook handshakes
+    const server = http.createServer();
+    const url = await listen(server);
+
+    const config = loadConfig({
+        ASANA_ACCESS_TOKEN: asana.token,
+        ASANA_WORKSPACE_ID: asana.workspaceGid,
+        ASANA_TEAM_ID: asana.teamGid,
+        ASANA_BASE_URL: asanaUrl,
+        ASANA_REQUESTS_PER_MINUTE: '60000',
+        PIPELINER_SHARED_SECRET: WEBHOOK_SECRET,
+        ADMIN_API_KEY: ADMIN_KEY,
+        PUBLIC_URL: url,
+        STORAGE_DRIVER: 'memory',
+        CUSTOM_FIELDS_PATH: configPath('custom-fields.json'),
+        USER_DIRECTORY_PATH: configPath('user-directory.json'),
+        QUEUE_BASE_DELAY_MS: '10',
+        QUEUE_MAX_DELAY_MS: '50',
+        ASANA_JOB_POLL_INTERVAL_MS: '20',
+        ...(fakePipeliner ? {
+            PIPELINER_API_URL: pipelinerUrl,
+            PIPELINER_SPACE_ID: fakePipeliner.spaceId,
+            PIPELINER_API_USERNAME: fakePipeliner.username,
+            PIPELINER_API_PASSWORD: fakePipeliner.password
+        } : {}),
+        ...(typeof env === 'function' ? env(fakes) : env)
+    });
+    config.queue.pollIntervalMs = 10;
+
+    const integration = createApp(config);
+    server.on('request', integration.app);
+    await integration.jobQueue.start();
+
+    const client = axios.create({ baseURL: url, validateStatus: () => true });
+
+    // POST a webhook body with the shared secret - resolves with the axios response (any status)
+    function send(body, { headers = {}, query = '' } = {}) {
+        return client.post(`/webhook/pipeliner${query}`, body, {
+            headers: { Authorization: `Bearer ${WEBHOOK_SECRET}`, ...headers }
+        });
+    }
+
+    // Wait until no job is pending or processing (dead-lettered jobs don't count)
+    async function waitForIdle({ timeoutMs = 10000 } = {}) {
+        const [stats] = await waitForQueues([integration.jobQueue], timeoutMs);
+        return stats;
+    }
+
+    // Deliver a recorded sequence (name or list of bodies) one at a time, letting each finish
+    // like it would in production - resolves with the webhook responses
+    async function replay(deliveries) {
+        const responses = [];
+        for (const body of typeof deliveries === 'string' ? sequence(deliveries) : deliveries) {
+            responses.push(await send(body));
+            await waitForIdle();
+        }
+        return responses;
+    }
+
+    async function stop() {
+        integration.jobQueue.stop();
+        await new Promise(resolve => server.close(() => resolve()));
+        await asana.stop();
+        if (fakePipeliner) await fakePipeliner.stop();
+    }
+
+    return {
+        ...fakes,
+        integration,
+        config,
+        url,
+        client,
+        adminKey: ADMIN_KEY,
+        send,
+        replay,
+        waitForIdle,
+        stop
+    };
+}
+
+// Start the app with a tenants file - one fake Asana per tenant (its own token, workspace and team), Pipeliner
+// space "<id>-space" and webhook secret "<id>-secret". Tokens come from the environment via ${...} references
+async function startTenantHarness(ids) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-'));
+    const fakes = {};
+    const env = {};
+    const tenants = [];
+    for (const [index, id] of ids.entries()) {
+        const { asana, url } = await startFakeAsana({ token: `${id}-token`, workspaceGid: String(100 + index), teamGid: String(200 + index) });
+        fakes[id] = asana;
+        env[`${id.toUpperCase()}_ASANA_TOKEN`] = asana.token;
+        tenants.push({
+            id,
+            asana: { accessToken: `\${${id.toUpperCase()}_ASANA_TOKEN}`, workspaceId: asana.workspaceGid, teamId: asana.teamGid, baseUrl: url },
+            pipeliner: { spaceId: `${id}-space` },
+            security: { webhookSharedSecret: `${id}-secret` }
+        });
+    }
+    const tenantsPath = path.join(dir, 'tenants.json');
+    fs.writeFileSync(tenantsPath, JSON.stringify({ tenants }, null, 4));
+
+    const server = http.createServer();
+    const url = await listen(server);
+
+    const config = loadConfig({
+        ASANA_REQUESTS_PER_MINUTE: '60000',
+        ADMIN_API_KEY: ADMIN_KEY,
+        PUBLIC_URL: url,
+        STORAGE_DRIVER: 'memory',
+        CUSTOM_FIELDS_PATH: configPath('custom-fields.json'),
+        USER_DIRECTORY_PATH: configPath('user-directory.json'),
+        QUEUE_BASE_DELAY_MS: '10',
+        QUEUE_MAX_DELAY_MS: '50',
+        TENANTS_PATH: tenantsPath
+    });
+    config.queue.pollIntervalMs = 10;
+
+    const multiTenant = createMultiTenantApp(config, loadTenants(tenantsPath, env));
+    server.on('request', multiTenant.app);
+    const queues = Array.from(multiTenant.integrations.values(), integration => integration.jobQueue);
+    await Promise.all(queues.map(queue => queue.start()));
+
+    const client = axios.create({ baseURL: url, validateStatus: () => true });
+
+    // POST a webhook to /webhook/pipeliner<suffix> with a tenant's secret
+    function send(tenant, body, { path: suffix = `/${tenant}` } = {}) {
+        return client.post(`/webhook/pipeliner${suffix}`, body, { headers: { Authorization: `Bearer ${tenant}-secret` } });
+    }
+
+    async function waitForIdle({ timeoutMs = 10000 } = {}) {
+        return waitForQueues(queues, timeoutMs);
+    }
+
+    async function stop() {
+        for (const queue of queues) queue.stop();
+        await new Promise(resolve => server.close(() => resolve()));
+        await Promise.all(Object.values(fakes).map(asana => asana.stop()));
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    return {
+        asana: fakes,
+        integrations: multiTenant.integrations,
+        config,
+        tenantsPath,
+        url,
+        client,
+        adminKey: ADMIN_KEY,
+        send,
+        waitForIdle,
+        stop
+    };
+}
+
+module.exports = { startHarness, startTenantHarness };
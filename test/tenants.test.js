@@ -0,0 +1,174 @@
+// Several tenants from one deployment - routing, separate secrets, stores and metrics, and the tenants file
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTenantHarness } = require('./support/harness');
+const { webhook } = require('./fixtures');
+const { loadConfig } = require('../index');
+const { loadTenants, tenantConfig, validateTenantConfigs } = require('../lib/tenants');
+
+describe('tenants', () => {
+    let harness;
+
+    before(async () => {
+        harness = await startTenantHarness(['north', 'south']);
+    });
+    after(() => harness.stop());
+
+    it('routes /webhook/pipeliner/:tenant to that tenant\'s Asana and stores', async () => {
+        const { asana, integrations } = harness;
+
+        const response = await harness.send('north', webhook('opportunity-create', { id: 'evt-north' }));
+        assert.equal(response.status, 200);
+        await harness.waitForIdle();
+
+        const { projectGid } = await integrations.get('north').mappingStore.get('opp-1001');
+        assert.equal(asana.north.state.projects.get(projectGid).name, '[J-1001] - Acme Foods - Line 3 Panel Upgrade - (125,000)');
+        assert.equal(asana.north.state.projects.get(projectGid).team, asana.north.teamGid);
+        assert.equal(asana.south.state.projects.size, 0);
+        assert.equal(await integrations.get('south').mappingStore.get('opp-1001'), null);
+    });
+
+    it('routes /webhook/pipeliner by the Pipeliner space ID in the payload', async () => {
+        const { asana, integrations } = harness;
+
+        const response = await harness.send('south', webhook('opportunity-create', { id: 'evt-south', space_id: 'south-space', data: { id: 'opp-2001' } }), { path: '' });
+        assert.equal(response.status, 200);
+        await harness.waitForIdle();
+
+        const { projectGid } = await integrations.get('south').mappingStore.get('opp-2001');
+        assert.ok(asana.south.state.projects.has(projectGid));
+        assert.equal(await integrations.get('north').mappingStore.get('opp-2001'), null);
+    });
+
+    it('checks each tenant\'s own webhook secret', async () => {
+        const body = webhook('opportunity-create', { id: 'evt-wrong-secret', data: { id: 'opp-3001' } });
+
+        const otherSecret = await harness.client.post('/webhook/pipeliner/north', body, { headers: { Authorization: 'Bearer south-secret' } });
+        assert.equal(otherSecret.status, 401);
+        const bySpace = await harness.client.post('/webhook/pipeliner', { ...body, space_id: 'north-space' }, { headers: { Authorization: 'Bearer south-secret' } });
+        assert.equal(bySpace.status, 401);
+    });
+
+    it('answers 404 for webhooks that match no tenant', async () => {
+        const unknownTenant = await harness.send('east', webhook('opportunity-create'));
+        assert.equal(unknownTenant.status, 404);
+        assert.match(unknownTenant.data.error, /Unknown tenant "east"/);
+
+        const unknownSpace = await harness.send('north', webhook('opportunity-create', { space_id: 'west-space' }), { path: '' });
+        assert.equal(unknownSpace.status, 404);
+        const noSpace = await harness.send('north', webhook('opportunity-create'), { path: '' });
+        assert.equal(noSpace.status, 404);
+    });
+
+    it('keeps each tenant\'s admin area, readiness and metrics apart', async () => {
+        const headers = { 'X-Admin-Key': harness.adminKey };
+
+        const northEvents = await harness.client.get('/tenants/north/admin/events', { headers });
+        assert.equal(northEvents.status, 200);
+        assert.ok(northEvents.data.events.length > 0);
+        assert.ok(northEvents.data.events.every(event => event.recordId !== 'opp-2001'));
+
+        const ready = await harness.client.get('/ready');
+        assert.equal(ready.status, 200);
+        assert.deepEqual(Object.keys(ready.data.tenants), ['north', 'south']);
+
+        const metrics = (await harness.client.get('/metrics')).data;
+        assert.match(metrics, /pipeliner_asana_webhooks_received_total\{tenant="north",source="pipeliner",entity="Opportunity",action="create",outcome="queued"\} 1/);
+        assert.match(metrics, /pipeliner_asana_api_requests_total\{tenant="south",service="asana"/);
+        assert.match(metrics, /pipeliner_asana_queue_jobs\{tenant="north",status="pending"\} 0/);
+        assert.match(metrics, /outcome="unrouted"/);
+    });
+
+    it('gives each tenant an Asana webhook URL under /tenants/:tenant', () => {
+        assert.equal(harness.integrations.get('north').config.publicUrl, `${harness.url}/tenants/north`);
+    });
+});
+
+describe('tenants file', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-file-'));
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    function write(name, tenants) {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, JSON.stringify({ tenants }));
+        return filePath;
+    }
+
+    it('lists every problem', () => {
+        const filePath = write('bad.json', [
+            { id: 'north', asana: { accessToken: '${NORTH_TOKEN}' }, pipeliner: { spaceId: 'space-1' } },
+            { id: 'North', pipeliner: { spaceId: 'space-1', username: 'key' } },
+            { id: 'north', templete: { path: 'x.json' } },
+            { asana: 'nope' }
+        ]);
+
+        assert.throws(() => loadTenants(filePath, {}), error => {
+            assert.match(error.message, /tenant "north" uses \$\{NORTH_TOKEN\}, which is not set/);
+            assert.match(error.message, /tenant "North" id must be lowercase/);
+            assert.match(error.message, /tenant "North" has a partly configured Pipeliner API - also set pipeliner\.baseUrl, pipeliner\.password/);
+            assert.match(error.message, /tenant "North" has the same Pipeliner space as tenant "north"/);
+            assert.match(error.message, /tenant "north" is defined more than once/);
+            assert.match(error.message, /tenant "north" has an unknown setting "templete"/);
+            assert.match(error.message, /tenant #4 has no id/);
+            assert.match(error.message, /tenant #4 asana must be an object/);
+            return true;
+        });
+    });
+
+    it('doesn\'t inherit Asana credentials or webhook secrets from the environment', () => {
+        const filePath = write('tenants.json', [
+            { id: 'emea', asana: { accessToken: '${EMEA_TOKEN}', workspaceId: '300' }, templates: { path: 'emea/templates.json' } }
+        ]);
+        const [tenant] = loadTenants(filePath, { EMEA_TOKEN: 'emea-token' });
+        const config = tenantConfig(loadConfig({
+            ASANA_ACCESS_TOKEN: 'env-token',
+            ASANA_TEAM_ID: '200',
+            PIPELINER_SHARED_SECRET: 'env-secret',
+            ASANA_MAX_CONCURRENT: '2',
+            DATA_DIR: '/var/data'
+        }), tenant);
+
+        assert.equal(config.tenant, 'emea');
+        assert.equal(config.asana.accessToken, 'emea-token');
+        assert.equal(config.asana.teamId, undefined);
+        assert.equal(config.asana.maxConcurrent, 2);
+        assert.equal(config.security.webhookSharedSecret, undefined);
+        assert.equal(config.storage.dataDir, path.join('/var/data', 'tenants', 'emea'));
+        assert.equal(config.templates.path, path.join(dir, 'emea', 'templates.json'));
+
+        const { errors } = validateTenantConfigs([config], {});
+        assert.ok(errors.includes('tenant "emea": Neither PIPELINER_WEBHOOK_SECRET nor PIPELINER_SHARED_SECRET is set - every webhook would be rejected'));
+    });
+
+    it('lets tenants use the Pipeliner API host from the environment', () => {
+        const filePath = write('shared-host.json', [
+            { id: 'emea', pipeliner: { spaceId: 'space-1', username: '${EMEA_KEY}', password: '${EMEA_SECRET}' } },
+            { id: 'apac', pipeliner: { spaceId: 'space-2', baseUrl: 'https://ap-southeast.api.pipelinersales.com', username: 'key', password: 'secret' } }
+        ]);
+        const env = { EMEA_KEY: 'emea-key', EMEA_SECRET: 'emea-secret', PIPELINER_API_URL: 'https://eu-central.api.pipelinersales.com' };
+        const [emea, apac] = loadTenants(filePath, env);
+
+        assert.equal(tenantConfig(loadConfig(env), emea).pipeliner.baseUrl, 'https://eu-central.api.pipelinersales.com');
+        assert.equal(tenantConfig(loadConfig(env), apac).pipeliner.baseUrl, 'https://ap-southeast.api.pipelinersales.com');
+
+        assert.throws(() => loadTenants(filePath, { EMEA_KEY: 'emea-key', EMEA_SECRET: 'emea-secret' }),
+            /tenant "emea" has a partly configured Pipeliner API - also set pipeliner\.baseUrl$/);
+
+        // Startup validation checks each tenant's own settings, not the PIPELINER_* variables
+        const configs = [emea, apac].map(tenant => tenantConfig(loadConfig({ ...env, PIPELINER_SHARED_SECRET: 'secret' }), tenant));
+        const { errors } = validateTenantConfigs(configs, env);
+        assert.deepEqual(errors.filter(error => error.includes('Pipeliner API')), []);
+
+        const withoutPassword = tenantConfig(loadConfig(env), { ...emea, settings: { pipeliner: { spaceId: 'space-1', username: 'emea-key' } } });
+        assert.ok(validateTenantConfigs([withoutPassword], env).errors
+            .includes('tenant "emea": Pipeliner API is partly configured - also set pipeliner.password'));
+    });
+});
@@ -0,0 +1,164 @@
+// The webhook endpoint itself - authentication, validation, duplicate deliveries and dry runs
+
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { webhook } = require('./fixtures');
+const { configureLogger } = require('../lib/logger');
+
+describe('POST /webhook/pipeliner', () => {
+    let harness;
+
+    before(async () => {
+        harness = await startHarness({ env: { PIPELINER_WEBHOOK_SECRET: 'signing-secret' } });
+    });
+    after(() => harness.stop());
+
+    it('rejects deliveries without a valid secret or signature', async () => {
+        const body = webhook('opportunity-create');
+
+        const unsigned = await harness.client.post('/webhook/pipeliner', body);
+        assert.equal(unsigned.status, 401);
+        const wrongSecret = await harness.send(body, { headers: { Authorization: 'Bearer nope' } });
+        assert.equal(wrongSecret.status, 401);
+        const badSignature = await harness.client.post('/webhook/pipeliner', body, { headers: { 'X-Pipeliner-Signature': 'sha256=00' } });
+        assert.equal(badSignature.status, 401);
+
+        assert.equal((await harness.integration.jobQueue.list()).length, 0);
+    });
+
+    it('accepts a delivery signed with PIPELINER_WEBHOOK_SECRET', async () => {
+        const raw = JSON.stringify(webhook('opportunity-create', { id: 'evt-signed', data: { id: 'opp-signed' } }));
+        const signature = crypto.createHmac('sha256', 'signing-secret').update(raw).digest('hex');
+
+        const response = await harness.client.post('/webhook/pipeliner', raw, {
+            headers: { 'Content-Type': 'application/json', 'X-Pipeliner-Signature': `sha256=${signature}` }
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.data.queued, true);
+        await harness.waitForIdle();
+    });
+
+    it('answers 422 with every problem in an invalid payload', async () => {
+        const response = await harness.send({ entity: 'Opportunity', data: { value: 'lots', probability: 140 } });
+
+        assert.equal(response.status, 422);
+        assert.deepEqual(response.data.problems, [
+            'action is required',
+            'data.id is required',
+            'data.value must be a number (got "lots")',
+            'data.probability must be between 0 and 100 (got 140)'
+        ]);
+    });
+
+    it('processes retried deliveries once', async () => {
+        const before = harness.asana.requests.length;
+        const responses = await harness.replay('retried-deliveries');
+
+        assert.deepEqual(responses.map(r => Boolean(r.data.duplicate)), [false, true, false, true]);
+        const requests = harness.asana.requests.slice(before);
+        assert.equal(requests.filter(r => r.method === 'POST' && r.path === '/projects').length, 1);
+        const { projectGid } = await harness.integration.mappingStore.get('opp-1001');
+        assert.equal(requests.filter(r => r.method === 'PUT' && r.path === `/projects/${projectGid}` && r.body.name).length, 1);
+    });
+
+    it('tells apart changes that arrive without an event ID or modified time', async () => {
+        // Without either, the whole record is fingerprinted - undefined fields aren't sent at all
+        const change = stage => webhook('opportunity-update', { id: undefined, data: { id: 'opp-unstamped', step: { name: stage }, modified: undefined } });
+        const responses = await harness.replay([
+            webhook('opportunity-create', { id: 'evt-unstamped', data: { id: 'opp-unstamped' } }),
+            change('Quote Sent'),
+            change('Won'),
+            change('Won')
+        ]);
+
+        assert.deepEqual(responses.map(r => Boolean(r.data.duplicate)), [false, false, false, true]);
+        const { snapshot } = await harness.integration.mappingStore.get('opp-unstamped');
+        assert.equal(snapshot.stage, 'Won');
+    });
+
+    it('tags the response, job and event with the caller\'s correlation ID', async () => {
+        const response = await harness.send(webhook('opportunity-update', { id: 'evt-correlated' }), {
+            headers: { 'X-Correlation-Id': 'trace-123' }
+        });
+        await harness.waitForIdle();
+
+        assert.equal(response.headers['x-correlation-id'], 'trace-123');
+        const events = await harness.client.get('/admin/events', { headers: { 'X-Admin-Key': harness.adminKey } });
+        assert.equal(events.data.events.find(e => e.jobId === response.data.jobId).correlationId, 'trace-123');
+    });
+
+    it('keeps customer names out of the logs', async () => {
+        // Log lines are kept; anything else (the test runner's own output) goes through
+        const lines = [];
+        const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+        const capture = stream => (chunk, ...rest) => (typeof chunk === 'string' && chunk.startsWith('{"time"')
+            ? lines.push(chunk) > 0
+            : writes[stream].call(process[stream], chunk, ...rest));
+        process.stdout.write = capture('stdout');
+        process.stderr.write = capture('stderr');
+        configureLogger({ level: 'debug' });
+        try {
+            await harness.replay([webhook('opportunity-create', {
+                id: 'evt-logged',
+                data: { id: 'opp-logged', description: 'Acme Foods wants line 3 rebuilt' }
+            })]);
+        } finally {
+            configureLogger({ level: process.env.LOG_LEVEL || 'error' });
+            Object.assign(process.stdout, { write: writes.stdout });
+            Object.assign(process.stderr, { write: writes.stderr });
+        }
+
+        const entries = lines.map(line => JSON.parse(line));
+        const created = entries.find(entry => entry.msg.startsWith('Asana project created'));
+        assert.equal(created.projectName, '[redacted]');
+        assert.ok(entries.some(entry => entry.opportunityName === '[redacted]'));
+
+        // The whole payload is logged at debug
+        const { payload } = entries.find(entry => entry.msg === 'Pipeliner webhook payload');
+        assert.equal(payload.data.name, '[redacted]');
+        assert.equal(payload.data.description, '[redacted]');
+        assert.equal(payload.data.primary_account.name, '[redacted]');
+
+        assert.deepEqual(lines.filter(line => /Acme Foods|Line 3 Panel Upgrade|Dana Reyes/.test(line)), []);
+    });
+
+    it('returns the plan for ?dryRun=true without touching Asana', async () => {
+        const before = harness.asana.requests.length;
+        const response = await harness.send(webhook('opportunity-create', { id: 'evt-dry-run', data: { id: 'opp-dry' } }), { query: '?dryRun=true' });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.data.dryRun, true);
+        assert.ok(response.data.operations.some(op => op.method === 'POST' && op.path === '/projects'));
+        const writes = harness.asana.requests.slice(before).filter(r => r.method !== 'GET');
+        assert.deepEqual(writes, []);
+        assert.equal(await harness.integration.mappingStore.get('opp-dry'), null);
+    });
+});
+
+describe('health, readiness and metrics', () => {
+    let harness;
+
+    before(async () => {
+        harness = await startHarness();
+    });
+    after(() => harness.stop());
+
+    it('reports ready when Asana and the stores answer', async () => {
+        const response = await harness.client.get('/ready');
+
+        assert.equal(response.status, 200);
+        const status = Object.fromEntries(response.data.checks.map(check => [check.name, check.status]));
+        assert.deepEqual(status, { asanaToken: 'ok', workspace: 'ok', team: 'ok', template: 'skipped', mappingStore: 'ok', queue: 'ok' });
+    });
+
+    it('counts webhooks in /metrics', async () => {
+        await harness.replay([webhook('opportunity-create', { id: 'evt-metrics' })]);
+        const response = await harness.client.get('/metrics');
+
+        assert.equal(response.status, 200);
+        assert.match(response.data, /pipeliner_asana_webhooks_received_total\{tenant="",source="pipeliner",entity="Opportunity",action="create",outcome="queued"\} \d+/);
+        assert.match(response.data, /pipeliner_asana_api_requests_total\{tenant="",service="asana",method="POST",status="201"\} \d+/);
+    });
+});